@@ -0,0 +1,27 @@
+import { useState } from 'react'
+import { copy } from './code'
+import { useMessages } from './locale'
+
+// A "#" next to a heading that copies a link to it, shown on hover.
+export default ({ id }) => {
+  const t = useMessages()
+  const [copied, setCopied] = useState(false)
+  const onClick = event => {
+    event.preventDefault()
+    const url = `${window.location.origin}${window.location.pathname}#${id}`
+    window.history.replaceState(window.history.state, '', `#${id}`)
+    copy(url).then(() => {
+      setCopied(true)
+      setTimeout(() => setCopied(false), 1500)
+    })
+  }
+  return (
+    <a href={`#${id}`} className='anchor' title={t('anchor.copy')} onClick={onClick}>
+      {copied ? '✓' : '#'}
+      <style jsx>{`
+        .anchor { margin-left: 0.3em; color: var(--muted); font-size: 0.6em; text-decoration: none; opacity: 0; }
+        .anchor:focus, :global(:hover) > .anchor { opacity: 1; }
+      `}</style>
+    </a>
+  )
+}
@@ -0,0 +1,69 @@
+import Text from './text'
+import CodeBlock from './code'
+import Runner from './runner'
+import Figure from './figure'
+import { BookmarkButton } from './reading'
+import Anchor from './anchor'
+import { useMode } from './language'
+import { ORIGINAL, versions, pick, listing } from '../lib/languages'
+
+// A translated record in the reader's language mode, the English styled
+// "p" and its translation "it". Interleaved puts the translation first, as
+// the pages have always shown it; side by side keeps the two columns aligned
+// paragraph by paragraph.
+export const Pair = ({ value, prefix = '' }) => {
+  const { mode, translation } = useMode()
+  const shown = versions(value, mode, translation)
+  const paragraph = version => (
+    <p key={version.lang} lang={version.lang} className={version.lang === ORIGINAL ? 'p' : 'it'}>
+      {prefix}<Text lang={version.lang}>{version.text}</Text>
+    </p>
+  )
+  if (mode === 'side') {
+    return <div className='side'>{[ORIGINAL, translation].map(lang => <div key={lang}>{shown.filter(version => version.lang === lang).map(paragraph)}</div>)}</div>
+  }
+  return shown.map(paragraph)
+}
+
+const Heading = ({ block }) => {
+  const Tag = `h${block.level}`
+  return <Tag id={block.id}><Text>{pick(block, useMode().mode)}</Text><Anchor id={block.id} /></Tag>
+}
+
+const Paragraph = ({ block }) => (
+  <div id={block.id}>
+    <BookmarkButton id={block.id} />
+    <Pair value={block} />
+  </div>
+)
+
+// A listing may have a copy with its comments translated, under the
+// language's code, which is shown whenever the mode shows that translation,
+// as in the EPUB and PDF editions.
+const Code = ({ block }) => {
+  const { mode, translation } = useMode()
+  const code = listing(block, mode, translation)
+  return [
+    <CodeBlock key='code' id={block.id} code={code} />,
+    <Runner key='run' code={code} />
+  ]
+}
+
+const List = ({ block }) => (
+  <ul id={block.id}>
+    {block.items.map((entry, index) => <li key={index}><Pair value={entry} /></li>)}
+  </ul>
+)
+
+const renderers = {
+  heading: Heading,
+  paragraph: Paragraph,
+  code: Code,
+  figure: Figure,
+  list: List
+}
+
+export default ({ block }) => {
+  const Renderer = renderers[block.type]
+  return Renderer ? <Renderer block={block} /> : null
+}
@@ -0,0 +1,79 @@
+import Layout from './layout'
+import Block from './block'
+import Remember from './remember'
+import Text, { ReferencesProvider } from './text'
+import { BookmarkButton, ContinueReading, ReadingScope, useReadingPosition } from './reading'
+import Anchor from './anchor'
+import Outline from './outline'
+import { useMode, Title } from './language'
+import { LocaleLink, useLocale, useMessages } from './locale'
+import { stripInline } from '../lib/inline'
+import { isBilingual, pick } from '../lib/languages'
+
+// The translated title under an English heading, when both languages are
+// shown.
+const Subtitle = ({ title }) => {
+  const { mode, translation } = useMode()
+  return isBilingual(mode) && title[translation] ? <p className='it' lang={translation}><Text>{title[translation]}</Text></p> : null
+}
+
+// Page titles and bookmarks are named in the page's locale, with the book's
+// title in it where it has been translated.
+const itemTitle = (item, locale, t) => stripInline(`${t('item', { number: item.number })}: ${pick(item.title, locale)}`)
+
+// Bookmarks made in an item are named after it; `path` is the page's.
+const Item = ({ item, path, standalone }) => {
+  const locale = useLocale()
+  const t = useMessages()
+  const label = t('item', { number: item.number })
+  return (
+    <ReadingScope value={{ path, title: itemTitle(item, locale, t) }}>
+      <div id={item.id}>
+        {standalone
+          ? <h2>{label}: <Title title={item.title} /><Anchor id={item.id} /><BookmarkButton id={item.id} /></h2>
+          : <h2><LocaleLink path={item.path}><a>{label}</a></LocaleLink>: <Title title={item.title} /><Anchor id={item.id} /><BookmarkButton id={item.id} /></h2>}
+        <Subtitle title={item.title} />
+        {item.blocks.map(block => <Block key={block.id} block={block} />)}
+        <Remember remember={item.remember} />
+      </div>
+    </ReadingScope>
+  )
+}
+
+// Renders any chapter file from content/ (see lib/content.js), or only one of
+// its items when `item` is given.
+export default ({ chapter, item, references, navigation }) => {
+  const locale = useLocale()
+  const t = useMessages()
+  const path = item ? item.path : chapter.path
+  const title = item ? itemTitle(item, locale, t) : stripInline(pick(chapter.title, locale))
+  useReadingPosition(chapter.path, path, title)
+  return (
+    <ReferencesProvider value={references}>
+      <ReadingScope value={{ path, title }}>
+        <Layout title={title} navigation={navigation}>
+          <div className='chapter-layout'>
+            {!item && <Outline chapter={chapter} />}
+            <div className='col-md-6'>
+              {!item && <ContinueReading chapterPath={chapter.path} />}
+              {item && <p className='chapter'><LocaleLink path={chapter.path}><a>{t('chapter', { number: chapter.number })}: <Title title={chapter.title} /></a></LocaleLink></p>}
+              {!item && chapter.number && <p className='chapter'>{chapter.number}</p>}
+              {!item && chapter.number && <h1><Title title={chapter.title} /></h1>}
+              {!item && chapter.number && <Subtitle title={chapter.title} />}
+              {!item && chapter.blocks.map(block => <Block key={block.id} block={block} />)}
+              {!item && chapter.items.map(entry => <Item key={entry.id} item={entry} path={path} />)}
+              {item && <Item item={item} path={path} standalone />}
+            </div>
+          </div>
+          <style jsx>{`
+            .chapter-layout { display: grid; grid-template-columns: minmax(0, 16em) minmax(0, 1fr); grid-column-gap: 2em; }
+            .chapter-layout > :only-child { grid-column: 1 / -1; }
+            @media (max-width: 1000px) {
+              .chapter-layout { display: block; }
+            }
+          `}</style>
+        </Layout>
+      </ReadingScope>
+    </ReferencesProvider>
+  )
+}
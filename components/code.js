@@ -0,0 +1,69 @@
+import { useState } from 'react'
+import { highlightLines } from '../lib/highlight'
+import { useMessages } from './locale'
+
+// Copies with the async clipboard API where there is one, and falls back to
+// a hidden textarea for older browsers and plain http.
+export const copy = text => {
+  if (navigator.clipboard && window.isSecureContext) return navigator.clipboard.writeText(text)
+  const area = document.createElement('textarea')
+  area.value = text
+  area.setAttribute('readonly', '')
+  area.style.position = 'absolute'
+  area.style.left = '-9999px'
+  document.body.appendChild(area)
+  area.select()
+  document.execCommand('copy')
+  document.body.removeChild(area)
+  return Promise.resolve()
+}
+
+const CopyButton = ({ code }) => {
+  const t = useMessages()
+  const [copied, setCopied] = useState(false)
+  const onClick = () => copy(code).then(() => {
+    setCopied(true)
+    setTimeout(() => setCopied(false), 1500)
+  })
+  return (
+    <button type='button' className='copy' onClick={onClick}>
+      {copied ? t('code.copied') : t('code.copy')}
+      <style jsx>{`
+        .copy { position: absolute; top: 0.5em; right: 0.5em; font-size: 12px; border: 1px solid var(--heading); background: var(--surface); color: var(--heading); cursor: pointer; opacity: 0.6; }
+        .copy:hover, .copy:focus { opacity: 1; }
+      `}</style>
+    </button>
+  )
+}
+
+// A JavaScript listing stored as plain source: highlighted, numbered and
+// copyable. The line numbers are drawn by CSS, so selecting the code by hand
+// copies only the code.
+export default ({ code, id }) => (
+  <div className='code-block' id={id}>
+    <CopyButton code={code} />
+    <pre>
+      <code>
+        {highlightLines(code).map((tokens, line) => (
+          <span key={line} className='line'>
+            {tokens.map((token, index) => token.type === 'plain'
+              ? token.value
+              : <span key={index} className={`token ${token.type}`}>{token.value}</span>)}
+            {'\n'}
+          </span>
+        ))}
+      </code>
+    </pre>
+    <style jsx>{`
+      .code-block { position: relative; }
+      pre { overflow-x: auto; padding: 0.5em 0; background: var(--code-background); counter-reset: line; }
+      .line { counter-increment: line; }
+      .line::before { content: counter(line); display: inline-block; width: 2.5em; margin-right: 1em; padding-right: 0.5em; text-align: right; color: var(--gutter); border-right: 1px solid var(--gutter); user-select: none; }
+      .token.comment { color: var(--token-comment); font-style: italic; }
+      .token.string, .token.regexp { color: var(--token-string); }
+      .token.number, .token.literal { color: var(--token-number); }
+      .token.keyword { color: var(--token-keyword); font-weight: bold; }
+      .token.punctuation { color: var(--text); }
+    `}</style>
+  </div>
+)
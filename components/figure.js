@@ -0,0 +1,63 @@
+import { useRouter } from 'next/router'
+import Text from './text'
+import { useMode } from './language'
+import { FIGURE_LABELS, stripInline } from '../lib/inline'
+import { ORIGINAL, versions } from '../lib/languages'
+
+// A table's cells, each showing the versions of its text one under the other.
+const Table = ({ rows, mode, translation }) => (
+  <table>
+    <tbody>
+      {rows.map((row, index) => (
+        <tr key={index}>
+          {row.map((cell, column) => {
+            const Cell = index === 0 ? 'th' : 'td'
+            return (
+              <Cell key={column}>
+                {versions(cell, mode, translation).map(version => (
+                  <span key={version.lang} lang={version.lang} className={version.lang === ORIGINAL ? 'cell' : 'cell it'}>
+                    <Text lang={version.lang}>{version.text}</Text>
+                  </span>
+                ))}
+              </Cell>
+            )
+          })}
+        </tr>
+      ))}
+    </tbody>
+    <style jsx>{`
+      table { width: 100%; border-collapse: collapse; font-size: 0.9em; }
+      th, td { padding: 0.3em 0.5em; border-bottom: 1px solid var(--rule); text-align: left; vertical-align: top; }
+      .cell { display: block; }
+    `}</style>
+  </table>
+)
+
+// A numbered figure or table, labelled in each language its caption is shown
+// in. The number comes from lib/content.js; front matter figures have none.
+// Sources are site-absolute, so they need the base path that links get from
+// next/link. Tables with their cells have them under the caption.
+export default ({ block }) => {
+  const { mode, translation } = useMode()
+  const { basePath } = useRouter()
+  const labels = FIGURE_LABELS[block.kind] || FIGURE_LABELS.figure
+  const caption = block.caption || {}
+  const line = version => (
+    <span key={version.lang} lang={version.lang} className={version.lang === ORIGINAL ? 'fig' : 'fig it'}>
+      {block.number && <b>{labels[version.lang]} {block.number} </b>}
+      <Text lang={version.lang}>{version.text}</Text>
+    </span>
+  )
+  return (
+    <figure id={block.id}>
+      {block.src && <img src={basePath + block.src} alt={caption.en ? stripInline(caption.en) : labels.en} />}
+      {block.caption && <figcaption>{versions(caption, mode, translation).map(line)}</figcaption>}
+      {block.rows && <Table rows={block.rows} mode={mode} translation={translation} />}
+      <style jsx>{`
+        figure { margin: 1em 0; }
+        img { width: 100%; }
+        .fig { display: block; }
+      `}</style>
+    </figure>
+  )
+}
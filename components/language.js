@@ -0,0 +1,104 @@
+import { createContext, useContext, useEffect, useState } from 'react'
+import { useRouter } from 'next/router'
+import Text from './text'
+import { useMessages } from './locale'
+import { ORIGINAL, NAMES, MODES, TRANSLATIONS, DEFAULT_TRANSLATION, isBilingual, pick } from '../lib/languages'
+
+// How translated text is shown: a mode from lib/languages.js, and the
+// translation the bilingual modes pair with the English. "interleaved" is the
+// original layout: the translated paragraph right above its English source.
+const DEFAULT = { mode: 'interleaved', translation: DEFAULT_TRANSLATION }
+const STORAGE_KEYS = { mode: 'language-mode', translation: 'translation' }
+const QUERY_KEYS = { mode: 'lang', translation: 'translation' }
+
+const isValid = {
+  mode: value => MODES.includes(value),
+  translation: value => TRANSLATIONS.includes(value)
+}
+
+const ModeContext = createContext(DEFAULT)
+
+export const ModeProvider = ModeContext.Provider
+
+// The reader's { mode, translation }.
+export const useMode = () => useContext(ModeContext)
+
+// A title in the language the reader's mode asks for.
+export const Title = ({ title }) => <Text>{pick(title, useMode().mode)}</Text>
+
+// `asPath` with the mode and translation in its query string, keeping the
+// hash. Defaults are left out.
+const withDisplay = (asPath, display) => {
+  const [beforeHash, hash] = asPath.split('#')
+  const [path, search] = beforeHash.split('?')
+  const params = new URLSearchParams(search)
+  Object.keys(QUERY_KEYS).forEach(key => {
+    if (display[key] === DEFAULT[key]) params.delete(QUERY_KEYS[key])
+    else params.set(QUERY_KEYS[key], display[key])
+  })
+  const query = params.toString()
+  return path + (query ? `?${query}` : '') + (hash ? `#${hash}` : '')
+}
+
+// The current { mode, translation } and a setter taking either or both. The
+// URL wins over what earlier pages saved, and whichever is used is written
+// back to both. A single-language mode for a translation is that
+// translation, so choosing one changes the other.
+export const useModeState = () => {
+  const router = useRouter()
+  const [display, setDisplay] = useState(DEFAULT)
+
+  const apply = changes => {
+    const next = Object.assign({}, display, changes)
+    if (isValid.translation(changes.mode)) next.translation = changes.mode
+    else if (changes.translation && isValid.translation(next.mode)) next.mode = changes.translation
+    setDisplay(next)
+    Object.keys(STORAGE_KEYS).forEach(key => window.localStorage.setItem(STORAGE_KEYS[key], next[key]))
+    const as = withDisplay(router.asPath, next)
+    if (as !== router.asPath) {
+      const query = Object.assign({}, router.query)
+      Object.keys(QUERY_KEYS).forEach(key => {
+        if (next[key] === DEFAULT[key]) delete query[QUERY_KEYS[key]]
+        else query[QUERY_KEYS[key]] = next[key]
+      })
+      router.replace({ pathname: router.pathname, query }, as, { shallow: true, scroll: false })
+    }
+  }
+
+  useEffect(() => {
+    if (!router.isReady) return
+    const restored = Object.keys(DEFAULT).reduce((found, key) => {
+      const requested = router.query[QUERY_KEYS[key]]
+      const saved = window.localStorage.getItem(STORAGE_KEYS[key])
+      if (isValid[key](requested)) found[key] = requested
+      else if (isValid[key](saved)) found[key] = saved
+      return found
+    }, {})
+    if (Object.keys(restored).length) apply(restored)
+  }, [router.isReady])
+
+  return [display, apply]
+}
+
+// The bilingual modes, the English and the chosen translation, and a list
+// to choose the translation from.
+export const ModeSwitch = ({ display, onChange }) => {
+  const t = useMessages()
+  return (
+    <span className='mode-switch'>
+      {['interleaved', 'side', ORIGINAL, display.translation].map(mode => (
+        <button key={mode} type='button' aria-pressed={mode === display.mode} onClick={() => onChange({ mode })}>
+          {isBilingual(mode) ? t(`mode.${mode}`) : NAMES[mode]}
+        </button>
+      ))}
+      <select aria-label={t('mode.translation')} value={display.translation} onChange={event => onChange({ translation: event.target.value })}>
+        {TRANSLATIONS.map(language => <option key={language} value={language} lang={language}>{NAMES[language]}</option>)}
+      </select>
+      <style jsx>{`
+        button, select { margin-left: 0.3em; border: 1px solid var(--heading); background: none; color: var(--text); }
+        button { cursor: pointer; }
+        button[aria-pressed='true'] { background: var(--heading); color: var(--surface); }
+      `}</style>
+    </span>
+  )
+}
@@ -1,25 +1,60 @@
-import Link from 'next/link'
 import Head from 'next/head'
+import { ModeProvider, ModeSwitch, useModeState } from './language'
+import { ThemeSwitch, themeStyles, useThemeState } from './theme'
+import { PreferencesPanel, usePreferencesState } from './preferences'
+import Search from './search'
+import { Breadcrumbs, PageNav, useArrowKeys } from './navigation'
+import { LocaleLink, LocaleSwitch, useDocumentLocale, useMessages } from './locale'
 
-export default ({ children, title = 'This is the default title' }) => (
-  <div>
-    <Head>
-      <title>{ title }</title>
-      <meta charSet='utf-8' />
-      <meta name='viewport' content='initial-scale=1.0, width=device-width' />
-    </Head>
-    <header>
-      <nav>
-        <Link href='/'><a>Home</a></Link> |
-        <Link href='/Preface'><a>Preface</a></Link> |
-        <Link href='/Chapter1'><a>Chapter 1</a></Link>
-      </nav>
-    </header>
+// Set from content/index.js by next.config.js.
+const CHAPTERS = process.env.CHAPTERS.split(',').map(Number)
 
-    { children }
+// `navigation`, from getNavigation() in lib/content.js, places a chapter or
+// item page in the book; other pages go without. `title` is in the page's
+// locale, and the book's title when left out.
+export default ({ children, title, navigation }) => {
+  const t = useMessages()
+  const [display, setDisplay] = useModeState()
+  const [theme, setTheme] = useThemeState()
+  const [preferences, setPreferences] = usePreferencesState()
+  useArrowKeys(navigation)
+  useDocumentLocale()
+  return (
+    <ModeProvider value={display}>
+      <div>
+        <Head>
+          <title>{ title || t('site.title') }</title>
+          <meta charSet='utf-8' />
+          <meta name='viewport' content='initial-scale=1.0, width=device-width' />
+        </Head>
+        <header>
+          <nav>
+            <LocaleLink path='/'><a>{t('nav.contents')}</a></LocaleLink> |
+            <LocaleLink path='/preface'><a>{t('nav.preface')}</a></LocaleLink> |
+            {CHAPTERS.map(number => (
+              <span key={number}>
+                <LocaleLink path={`/chapter/${number}`}><a>{t('chapter', { number })}</a></LocaleLink> |
+              </span>
+            ))}
+            <LocaleLink path='/cheatsheet'><a>{t('nav.cheatsheet')}</a></LocaleLink> |
+            <LocaleLink path='/progress'><a>{t('nav.progress')}</a></LocaleLink>
+            <LocaleSwitch />
+            <ModeSwitch display={display} onChange={setDisplay} />
+            <ThemeSwitch theme={theme} onChange={setTheme} />
+            <PreferencesPanel preferences={preferences} onChange={setPreferences} />
+            <Search />
+          </nav>
+          {navigation && <Breadcrumbs navigation={navigation} />}
+          {navigation && <PageNav navigation={navigation} />}
+        </header>
 
-    <footer>
-      {'I`m here to stay'}
-    </footer>
-  </div>
-)
+        { children }
+
+        <footer>
+          {navigation && <PageNav navigation={navigation} />}
+        </footer>
+        <style jsx>{themeStyles}</style>
+      </div>
+    </ModeProvider>
+  )
+}
@@ -0,0 +1,104 @@
+import { useEffect } from 'react'
+import Link from 'next/link'
+import { useRouter } from 'next/router'
+import en from '../messages/en.json'
+import es from '../messages/es.json'
+
+// The language of the interface: menus, buttons, labels and page titles. It
+// is the first segment of every page's URL (/en/chapter/1, /es/chapter/1),
+// apart from the language mode of the book's text (components/language.js).
+// Messages are looked up in messages/<locale>.json, with "{name}"
+// placeholders.
+export const CATALOGS = { en, es }
+export const LOCALES = Object.keys(CATALOGS)
+export const DEFAULT_LOCALE = 'en'
+const STORAGE_KEY = 'locale'
+
+const isLocale = value => LOCALES.includes(value)
+
+// A message in `locale`, or in English while there is no catalog for it or
+// the catalog lacks it.
+export const translate = (locale, key, values = {}) => {
+  const message = (CATALOGS[locale] || {})[key] || CATALOGS[DEFAULT_LOCALE][key] || key
+  return message.replace(/\{(\w+)\}/g, (match, name) => name in values ? String(values[name]) : match)
+}
+
+// The locale of the current page. Pages outside /[locale] get the default.
+export const useLocale = () => {
+  const { query } = useRouter()
+  return isLocale(query.locale) ? query.locale : DEFAULT_LOCALE
+}
+
+export const useMessages = () => {
+  const locale = useLocale()
+  return (key, values) => translate(locale, key, values)
+}
+
+// getStaticPaths() paths for every locale, from those of one.
+export const localePaths = (paths = [{ params: {} }]) => LOCALES.reduce((all, locale) => all.concat(
+  paths.map(path => ({ params: Object.assign({ locale }, path.params) }))
+), [])
+
+// The page route behind a path of the book.
+const routeOf = path => /^\/chapter\/\d+\/item\/\d+$/.test(path) ? '/chapter/[n]/item/[m]'
+  : /^\/chapter\/\d+$/.test(path) ? '/chapter/[n]'
+    : path
+
+// next/link's `href` and `as` for a path of the book in `locale`. Paths in
+// content, bookmarks and the search index go without the locale, e.g.
+// "/chapter/2#item-8".
+export const localeHref = (locale, path) => {
+  const [pathname, hash] = path.split('#')
+  const route = pathname === '/' ? '' : routeOf(pathname)
+  return {
+    href: `/[locale]${route}`,
+    as: `/${locale}${pathname === '/' ? '' : pathname}${hash ? `#${hash}` : ''}`
+  }
+}
+
+export const LocaleLink = ({ path, children }) => {
+  const { href, as } = localeHref(useLocale(), path)
+  return <Link href={href} as={as}>{children}</Link>
+}
+
+// The locale the site's root sends the reader to: the one they last read in,
+// or else the first of their browser's languages there is a catalog for.
+export const preferredLocale = () => {
+  const saved = window.localStorage.getItem(STORAGE_KEY)
+  if (isLocale(saved)) return saved
+  const wanted = (navigator.languages || [navigator.language]).map(language => language.slice(0, 2).toLowerCase())
+  return wanted.find(isLocale) || DEFAULT_LOCALE
+}
+
+// Marks up the document in the page's locale and remembers it.
+export const useDocumentLocale = () => {
+  const router = useRouter()
+  const locale = useLocale()
+  useEffect(() => {
+    document.documentElement.lang = locale
+    if (router.query.locale) window.localStorage.setItem(STORAGE_KEY, locale)
+  }, [locale])
+}
+
+// Links to the current page in the other locales, keeping the query string
+// and hash. Plain links, so that they work in the offline export too.
+export const LocaleSwitch = () => {
+  const router = useRouter()
+  const current = useLocale()
+  if (!router.query.locale) return null
+  return (
+    <span className='locale-switch' role='group' aria-label={translate(current, 'locale.switch')}>
+      {LOCALES.map(locale => locale === current
+        ? <b key={locale} lang={locale} aria-current='true'>{translate(locale, 'locale.name')}</b>
+        : (
+          <Link key={locale} href={{ pathname: router.pathname, query: Object.assign({}, router.query, { locale }) }} as={router.asPath.replace(/^\/[^/?#]+/, `/${locale}`)}>
+            <a lang={locale} hrefLang={locale}>{translate(locale, 'locale.name')}</a>
+          </Link>
+        ))}
+      <style jsx>{`
+        .locale-switch { margin-left: 1em; }
+        b, a { margin-left: 0.3em; }
+      `}</style>
+    </span>
+  )
+}
@@ -0,0 +1,110 @@
+import { useEffect } from 'react'
+import { useRouter } from 'next/router'
+import { Title } from './language'
+import { LocaleLink, localeHref, useLocale, useMessages } from './locale'
+
+const PageLink = ({ link, rel, children }) => (
+  <LocaleLink path={link.path}><a rel={rel}>{children}</a></LocaleLink>
+)
+
+// "Item 5: …", or only the title for front matter.
+const LinkText = ({ link }) => {
+  const t = useMessages()
+  return [
+    link.number && <span key='label' className='label'>{t(link.kind, { number: link.number })}{': '}</span>,
+    <Title key='title' title={link.title} />
+  ]
+}
+
+// Book › Chapter › Item, from getNavigation() in lib/content.js.
+export const Breadcrumbs = ({ navigation }) => {
+  const t = useMessages()
+  return (
+    <nav className='breadcrumbs' aria-label={t('nav.breadcrumbs')}>
+      <LocaleLink path='/'><a>{t('site.title')}</a></LocaleLink>
+      {navigation.breadcrumbs.map((link, index) => (
+        <span key={link.path}>
+          {' › '}
+          {index === navigation.breadcrumbs.length - 1
+            ? <span aria-current='page'><LinkText link={link} /></span>
+            : <PageLink link={link}><LinkText link={link} /></PageLink>}
+        </span>
+      ))}
+      <style jsx>{`
+        .breadcrumbs { margin: 0.5em 0; font-size: 14px; }
+      `}</style>
+    </nav>
+  )
+}
+
+// A previous and a next link; `rel` marks them as the page's own sequence.
+const Pair = ({ pair, rel }) => (
+  <div className='pair'>
+    <span>{pair.previous && <PageLink link={pair.previous} rel={rel ? 'prev' : undefined}>← <LinkText link={pair.previous} /></PageLink>}</span>
+    <span>{pair.next && <PageLink link={pair.next} rel={rel ? 'next' : undefined}><LinkText link={pair.next} /> →</PageLink>}</span>
+    <style jsx>{`
+      .pair { display: flex; justify-content: space-between; }
+      span:last-child { text-align: right; }
+    `}</style>
+  </div>
+)
+
+// The neighbouring items on item pages, and the neighbouring chapters.
+export const PageNav = ({ navigation }) => (
+  <nav className='page-nav' aria-label={useMessages()('nav.pages')}>
+    {navigation.items && <Pair pair={navigation.items} rel />}
+    <Pair pair={navigation.chapters} rel={!navigation.items} />
+    <style jsx>{`
+      .page-nav { margin: 1em 0; font-size: 14px; }
+    `}</style>
+  </nav>
+)
+
+const isTyping = target => target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+
+// Listings that scroll sideways keep their arrow keys, whether they have the
+// focus or the reader clicked or selected text in them.
+const inListing = target => {
+  const selection = window.getSelection()
+  const node = selection && selection.rangeCount ? selection.anchorNode : null
+  const selected = node && (node.nodeType === 1 ? node : node.parentElement)
+  return [target, selected].some(element => element && element.closest && element.closest('pre'))
+}
+
+// The id of the item anchor before or after the top of the window, or null.
+const neighbourAnchor = (anchors, forward) => {
+  const tops = anchors
+    .map(id => ({ id, element: document.getElementById(id) }))
+    .filter(entry => entry.element)
+    .map(entry => ({ id: entry.id, top: entry.element.getBoundingClientRect().top }))
+  const found = forward ? tops.find(entry => entry.top > 1) : tops.reverse().find(entry => entry.top < -1)
+  return found ? found.id : null
+}
+
+// Left and right arrows go to the previous and next item: the neighbouring
+// item page, or on a chapter page the item anchor before or after the one in
+// view, and past its first or last item the neighbouring chapter. Keys are
+// left alone while the reader is typing, in a listing or holding a modifier
+// (Alt+← is the browser's own Back).
+export const useArrowKeys = navigation => {
+  const router = useRouter()
+  const locale = useLocale()
+  useEffect(() => {
+    if (!navigation) return
+    const onKeyDown = event => {
+      if (event.altKey || event.ctrlKey || event.metaKey || event.shiftKey || isTyping(event.target) || inListing(event.target)) return
+      if (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight') return
+      const forward = event.key === 'ArrowRight'
+      const anchor = neighbourAnchor(navigation.anchors, forward)
+      const pair = navigation.items || navigation.chapters
+      const link = forward ? pair.next : pair.previous
+      const path = anchor ? `${navigation.breadcrumbs[0].path}#${anchor}` : link && link.path
+      if (!path) return
+      event.preventDefault()
+      const { href, as } = localeHref(locale, path)
+      router.push(href, as)
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [navigation, locale])
+}
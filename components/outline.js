@@ -0,0 +1,66 @@
+import { useEffect, useState } from 'react'
+import { Title } from './language'
+import { useMessages } from './locale'
+
+// The chapter's sections in reading order: its headings and items, with each
+// item's headings under it. `t` labels the items.
+const entries = (chapter, t) => {
+  const headings = blocks => blocks.filter(block => block.type === 'heading')
+    .map(block => ({ id: block.id, title: block, level: block.level }))
+  return headings(chapter.blocks).concat(chapter.items.reduce((all, item) => all.concat(
+    [{ id: item.id, title: item.title, prefix: `${t('item', { number: item.number })}: `, level: 1 }],
+    headings(item.blocks).map(entry => Object.assign(entry, { level: entry.level + 1 }))
+  ), []))
+}
+
+// The last section whose heading has scrolled past the top of the window.
+const useCurrent = ids => {
+  const [current, setCurrent] = useState(null)
+  useEffect(() => {
+    const update = () => {
+      const passed = ids.filter(id => {
+        const element = document.getElementById(id)
+        return element && element.getBoundingClientRect().top <= 80
+      })
+      setCurrent(passed.length ? passed[passed.length - 1] : null)
+    }
+    update()
+    window.addEventListener('scroll', update, { passive: true })
+    return () => window.removeEventListener('scroll', update)
+  }, [ids.join(' ')])
+  return current
+}
+
+// A sticky table of contents beside a chapter, following the reader.
+export default ({ chapter }) => {
+  const t = useMessages()
+  const list = entries(chapter, t)
+  const current = useCurrent(list.map(entry => entry.id))
+  if (list.length < 2) return null
+  return (
+    <nav className='outline' aria-label={t('nav.outline')}>
+      <ol>
+        {list.map(entry => (
+          <li key={entry.id} className={`level-${entry.level}`}>
+            <a href={`#${entry.id}`} aria-current={entry.id === current ? 'location' : undefined}>
+              {entry.prefix}<Title title={entry.title} />
+            </a>
+          </li>
+        ))}
+      </ol>
+      <style jsx>{`
+        .outline { position: sticky; top: 1em; align-self: start; max-height: calc(100vh - 2em); overflow-y: auto; font-size: 14px; }
+        ol { margin: 0; padding: 0; list-style: none; }
+        li { margin: 0.3em 0; }
+        .level-2 { padding-left: 1em; }
+        .level-3 { padding-left: 2em; }
+        a { display: block; padding: 0.1em 0.5em; border-left: 3px solid transparent; color: var(--text); text-decoration: none; }
+        a:hover { color: var(--link); }
+        a[aria-current] { border-left-color: var(--heading); color: var(--heading); font-weight: bold; }
+        @media (max-width: 1000px) {
+          .outline { display: none; }
+        }
+      `}</style>
+    </nav>
+  )
+}
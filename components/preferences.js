@@ -0,0 +1,110 @@
+import { useEffect, useState } from 'react'
+import { useMessages } from './locale'
+
+// The reader's typography. Each preference is a custom property on the root
+// element, which the theme's stylesheet (components/theme.js) reads with the
+// original look as its fallback.
+const FONTS = [
+  { id: 'verdana', value: 'Verdana, sans-serif' },
+  { id: 'georgia', value: 'Georgia, serif' },
+  { id: 'system', value: 'system-ui, sans-serif' }
+]
+
+const SIZES = [16, 18, 20, 24, 28]
+const LINE_HEIGHTS = [1.1, 1.3, 1.5, 1.8]
+const WIDTHS = [
+  { id: 'narrow', value: '700px' },
+  { id: 'medium', value: '900px' },
+  { id: 'wide', value: '1100px' }
+]
+
+const DEFAULTS = { font: 'verdana', size: 24, lineHeight: 1.1, width: 'wide', italic: true }
+const STORAGE_KEY = 'reading-preferences'
+
+const properties = preferences => ({
+  '--reading-font': (FONTS.find(font => font.id === preferences.font) || FONTS[0]).value,
+  '--reading-size': `${preferences.size}px`,
+  '--reading-line-height': String(preferences.lineHeight),
+  '--reading-width': (WIDTHS.find(width => width.id === preferences.width) || WIDTHS[2]).value,
+  '--es-style': preferences.italic ? 'italic' : 'normal'
+})
+
+// Saved preferences, with anything missing or unreadable left at its
+// default.
+const load = () => {
+  try {
+    return Object.assign({}, DEFAULTS, JSON.parse(window.localStorage.getItem(STORAGE_KEY)))
+  } catch (error) {
+    return DEFAULTS
+  }
+}
+
+// The current preferences and a setter taking the ones to change.
+export const usePreferencesState = () => {
+  const [preferences, setPreferences] = useState(DEFAULTS)
+
+  const apply = next => {
+    setPreferences(next)
+    const style = document.documentElement.style
+    const values = properties(next)
+    Object.keys(values).forEach(name => style.setProperty(name, values[name]))
+  }
+
+  useEffect(() => apply(load()), [])
+
+  const update = changes => {
+    const next = Object.assign({}, preferences, changes)
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(next))
+    apply(next)
+  }
+
+  return [preferences, update]
+}
+
+export const PreferencesPanel = ({ preferences, onChange }) => {
+  const t = useMessages()
+  return (
+    <details className='preferences'>
+      <summary>{t('preferences')}</summary>
+      <div className='panel'>
+        <label>
+          {t('preferences.font')}
+          <select value={preferences.font} onChange={event => onChange({ font: event.target.value })}>
+            {FONTS.map(font => <option key={font.id} value={font.id}>{t(`font.${font.id}`)}</option>)}
+          </select>
+        </label>
+        <label>
+          {t('preferences.size')}
+          <select value={preferences.size} onChange={event => onChange({ size: Number(event.target.value) })}>
+            {SIZES.map(size => <option key={size} value={size}>{size}px</option>)}
+          </select>
+        </label>
+        <label>
+          {t('preferences.lineHeight')}
+          <select value={preferences.lineHeight} onChange={event => onChange({ lineHeight: Number(event.target.value) })}>
+            {LINE_HEIGHTS.map(height => <option key={height} value={height}>{height}</option>)}
+          </select>
+        </label>
+        <label>
+          {t('preferences.width')}
+          <select value={preferences.width} onChange={event => onChange({ width: event.target.value })}>
+            {WIDTHS.map(width => <option key={width.id} value={width.id}>{t(`width.${width.id}`)}</option>)}
+          </select>
+        </label>
+        <label>
+          <input type='checkbox' checked={preferences.italic} onChange={event => onChange({ italic: event.target.checked })} />
+          {t('preferences.italic')}
+        </label>
+        <button type='button' onClick={() => onChange(DEFAULTS)}>{t('preferences.reset')}</button>
+      </div>
+      <style jsx>{`
+        .preferences { position: relative; display: inline-block; margin-left: 1em; }
+        summary { cursor: pointer; }
+        .panel { position: absolute; z-index: 10; display: grid; grid-row-gap: 0.5em; width: 16em; padding: 0.8em; background: var(--surface); box-shadow: 0 4px 12px var(--shadow); }
+        label { display: flex; justify-content: space-between; align-items: center; }
+        input { margin-right: auto; }
+        select { margin-left: 0.5em; border: 1px solid var(--heading); color: var(--text); background: var(--surface); }
+      `}</style>
+    </details>
+  )
+}
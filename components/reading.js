@@ -0,0 +1,132 @@
+import { createContext, useContext, useEffect, useState } from 'react'
+import { LocaleLink, useMessages } from './locale'
+
+// Where the reader is, and what they marked, kept in localStorage only:
+//
+//   reading-positions  { [chapter path]: { path, id, title, at } }
+//   bookmarks          [ { path, id, title, note, at } ]
+//
+// where `path` is the page read (a chapter or an item page, without the
+// locale) and `id` the anchor of the passage.
+const POSITIONS_KEY = 'reading-positions'
+const BOOKMARKS_KEY = 'bookmarks'
+
+const read = (key, fallback) => {
+  try {
+    return JSON.parse(window.localStorage.getItem(key)) || fallback
+  } catch (error) {
+    return fallback
+  }
+}
+
+const write = (key, value) => window.localStorage.setItem(key, JSON.stringify(value))
+
+// The passage a page's anchors are relative to, and how to name it in a
+// bookmark, e.g. "Item 5: Avoid Using == with Mixed Types".
+const Scope = createContext(null)
+
+export const ReadingScope = Scope.Provider
+
+// The first passage at or below the top of the window.
+const topmostPassage = () => Array.from(document.querySelectorAll('.col-md-6 [id]'))
+  .find(element => element.getBoundingClientRect().top >= 0)
+
+// Saves the reader's place in the chapter at `chapterPath` while they scroll
+// `path`, once the scrolling stops.
+export const useReadingPosition = (chapterPath, path, title) => {
+  useEffect(() => {
+    let timer = null
+    const save = () => {
+      const passage = topmostPassage()
+      if (!passage) return
+      const positions = read(POSITIONS_KEY, {})
+      positions[chapterPath] = { path, id: passage.id, title, at: Date.now() }
+      write(POSITIONS_KEY, positions)
+    }
+    const onScroll = () => {
+      clearTimeout(timer)
+      timer = setTimeout(save, 500)
+    }
+    window.addEventListener('scroll', onScroll, { passive: true })
+    return () => {
+      clearTimeout(timer)
+      window.removeEventListener('scroll', onScroll)
+    }
+  }, [chapterPath, path, title])
+}
+
+// The saved positions, most recent first. Empty until mounted, since the
+// server can't see them.
+export const useReadingPositions = () => {
+  const [positions, setPositions] = useState([])
+  useEffect(() => {
+    const saved = read(POSITIONS_KEY, {})
+    setPositions(Object.keys(saved).map(key => saved[key]).sort((a, b) => b.at - a.at))
+  }, [])
+  return positions
+}
+
+// Offers to go back to where the reader left off in the chapter at
+// `chapterPath`, unless the page was opened at a passage already.
+export const ContinueReading = ({ chapterPath }) => {
+  const t = useMessages()
+  const [position, setPosition] = useState(null)
+  useEffect(() => {
+    if (!window.location.hash) setPosition(read(POSITIONS_KEY, {})[chapterPath] || null)
+  }, [chapterPath])
+  if (!position) return null
+  return (
+    <p className='continue'>
+      {t('chapter.continue')} <PassageLink path={position.path} id={position.id}>{position.title}</PassageLink>
+      <style jsx>{`
+        .continue { padding: 0.5em 1em; background: var(--tint); }
+      `}</style>
+    </p>
+  )
+}
+
+// The bookmarks, oldest first, with functions to add and remove one.
+export const useBookmarks = () => {
+  const [bookmarks, setBookmarks] = useState([])
+  useEffect(() => setBookmarks(read(BOOKMARKS_KEY, [])), [])
+
+  const update = next => {
+    write(BOOKMARKS_KEY, next)
+    setBookmarks(next)
+  }
+  const add = bookmark => update(read(BOOKMARKS_KEY, [])
+    .filter(entry => entry.path !== bookmark.path || entry.id !== bookmark.id)
+    .concat([Object.assign({ at: Date.now() }, bookmark)]))
+  const remove = bookmark => update(read(BOOKMARKS_KEY, [])
+    .filter(entry => entry.path !== bookmark.path || entry.id !== bookmark.id))
+
+  return [bookmarks, add, remove]
+}
+
+// Marks the passage `id` of the current scope, asking for an optional note.
+export const BookmarkButton = ({ id }) => {
+  const scope = useContext(Scope)
+  const t = useMessages()
+  const [bookmarks, add, remove] = useBookmarks()
+  if (!scope) return null
+  const marked = bookmarks.find(entry => entry.path === scope.path && entry.id === id)
+  const toggle = () => {
+    if (marked) return remove(marked)
+    const note = window.prompt(t('bookmark.note'))
+    if (note !== null) add({ path: scope.path, id, title: scope.title, note })
+  }
+  return (
+    <button type='button' className='bookmark' aria-pressed={Boolean(marked)} title={t(marked ? 'bookmark.remove' : 'bookmark.add')} onClick={toggle}>
+      {marked ? '★' : '☆'}
+      <style jsx>{`
+        .bookmark { float: right; margin-left: 0.5em; border: none; background: none; color: var(--heading); font-size: 20px; cursor: pointer; opacity: 0; }
+        .bookmark[aria-pressed='true'], .bookmark:focus, :global(:hover) > .bookmark { opacity: 1; }
+      `}</style>
+    </button>
+  )
+}
+
+// A link to a passage of a chapter, item or front matter page.
+export const PassageLink = ({ path, id, children }) => (
+  <LocaleLink path={`${path}#${id}`}><a>{children}</a></LocaleLink>
+)
@@ -0,0 +1,20 @@
+import { Pair } from './block'
+import { useMessages } from './locale'
+
+// The "Things to Remember" summary that closes every item, set apart from
+// the item's text.
+export default ({ remember }) => {
+  const t = useMessages()
+  return remember.length > 0 ? (
+    <aside className='remember'>
+      <h3>{t('remember')}</h3>
+      <ul>
+        {remember.map((entry, index) => <li key={index}><Pair value={entry} /></li>)}
+      </ul>
+      <style jsx>{`
+        .remember { margin: 2em 0; padding: 0.5em 1.5em 1em; border-left: 6px solid var(--heading); background: var(--tint); }
+        ul { margin: 0; padding-left: 1em; list-style: '✦ '; }
+      `}</style>
+    </aside>
+  ) : null
+}
@@ -0,0 +1,118 @@
+import { useEffect, useRef, useState } from 'react'
+import { useMessages } from './locale'
+
+// How long a run may take, asynchronous callbacks included, before its worker
+// is terminated. Enough for the setTimeout examples of Chapter 7.
+const RUN_TIME = 2000
+
+// The worker evaluates the listing with an indirect eval, so it runs as a
+// global script: sloppy unless prefixed with the "use strict" directive. It
+// reports console output, the completion value and uncaught errors.
+const WORKER_SOURCE = `
+var inspect = function (value, nested) {
+  if (typeof value === 'string') return nested ? JSON.stringify(value) : value
+  if (typeof value === 'function') return 'function ' + (value.name || '(anonymous)')
+  if (value instanceof Error) return value.name + ': ' + value.message
+  if (Array.isArray(value)) return '[' + value.map(function (entry) { return inspect(entry, true) }).join(', ') + ']'
+  if (value && typeof value === 'object') {
+    try {
+      return '{ ' + Object.keys(value).map(function (key) { return key + ': ' + inspect(value[key], true) }).join(', ') + ' }'
+    } catch (e) {
+      return String(value)
+    }
+  }
+  return String(value)
+}
+var send = function (type, text) { postMessage({ type: type, text: text }) }
+;['log', 'info', 'warn', 'error'].forEach(function (level) {
+  console[level] = function () {
+    send(level === 'info' ? 'log' : level, Array.prototype.map.call(arguments, function (arg) { return inspect(arg) }).join(' '))
+  }
+})
+self.addEventListener('error', function (event) {
+  event.preventDefault()
+  send('error', String(event.message).replace(/^Uncaught /, ''))
+})
+self.onmessage = function (event) {
+  self.onmessage = null
+  try {
+    var result = (0, eval)(event.data.strict ? '"use strict"; ' + event.data.code : event.data.code)
+    if (result !== undefined) send('result', inspect(result, true))
+  } catch (e) {
+    send('error', e && e.name ? e.name + ': ' + e.message : 'Uncaught ' + inspect(e, true))
+  }
+  send('done')
+}
+`
+
+// Runs code in a fresh worker, calling onOutput with each {type, text}, and
+// with `timeout` as an error if the run takes too long. The worker has no DOM
+// and no access to the page. Returns a function that stops the run early.
+const run = (code, strict, onOutput, timeout) => {
+  const url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }))
+  const worker = new Worker(url)
+  let finished = false
+  const stop = () => {
+    worker.terminate()
+    URL.revokeObjectURL(url)
+  }
+  const timer = setTimeout(() => {
+    stop()
+    if (!finished) onOutput({ type: 'error', text: timeout })
+  }, RUN_TIME)
+  worker.onmessage = event => {
+    if (event.data.type === 'done') finished = true
+    else onOutput(event.data)
+  }
+  worker.postMessage({ code, strict })
+  return () => {
+    clearTimeout(timer)
+    stop()
+  }
+}
+
+const PREFIXES = { result: '⇒ ', error: '✖ ', warn: '⚠ ', log: '' }
+
+// The "Run" bar under a listing and the console output of its last run.
+export default ({ code }) => {
+  const t = useMessages()
+  const [strict, setStrict] = useState(false)
+  const [output, setOutput] = useState(null)
+  const stop = useRef(null)
+
+  useEffect(() => () => stop.current && stop.current(), [])
+
+  const start = () => {
+    if (stop.current) stop.current()
+    const lines = []
+    setOutput(lines)
+    stop.current = run(code, strict, line => {
+      lines.push(line)
+      setOutput(lines.slice())
+    }, t('runner.stopped', { seconds: RUN_TIME / 1000 }))
+  }
+
+  return (
+    <div className='runner'>
+      <button type='button' onClick={start}>{t('runner.run')}</button>
+      <label>
+        <input type='checkbox' checked={strict} onChange={event => setStrict(event.target.checked)} /> {t('runner.strict')}
+      </label>
+      {output && (
+        <pre className='console'>
+          {output.length === 0 && <span className='empty'>{t('runner.empty')}</span>}
+          {output.map((line, index) => <div key={index} className={line.type}>{PREFIXES[line.type]}{line.text}</div>)}
+        </pre>
+      )}
+      <style jsx>{`
+        .runner { margin: -0.5em 0 1em; font-size: 14px; }
+        button { margin-right: 1em; border: 1px solid var(--heading); background: var(--surface); color: var(--heading); cursor: pointer; }
+        .console { margin: 0.5em 0 0; padding: 0.5em; background: var(--console-background); color: var(--console-text); white-space: pre-wrap; font-size: 14px; }
+        .empty { color: var(--muted); }
+        .result { color: var(--console-result); }
+        .warn { color: var(--console-warn); }
+        .error { color: var(--console-error); }
+      `}</style>
+    </div>
+  )
+}
@@ -0,0 +1,104 @@
+import { useState } from 'react'
+import { useRouter } from 'next/router'
+import { fold, search, tokenize } from '../lib/search'
+import { NAMES, pick } from '../lib/languages'
+import { LocaleLink, useLocale, useMessages } from './locale'
+
+// The index is fetched the first time the box gets focus, then kept for
+// every later page of the visit.
+let loading = null
+const loadIndex = basePath => {
+  if (!loading) {
+    loading = fetch(`${basePath}/search-index.json`).then(res => res.json()).catch(error => {
+      loading = null
+      throw error
+    })
+  }
+  return loading
+}
+
+const SNIPPET = 80
+
+// A short excerpt of `text` around the first word of the query it contains.
+const Snippet = ({ text, query }) => {
+  const folded = fold(text)
+  const at = tokenize(query).map(word => folded.indexOf(word)).filter(index => index >= 0).sort((a, b) => a - b)[0]
+  if (at === undefined) return text.slice(0, SNIPPET * 2)
+  const word = tokenize(text.slice(at))[0] || ''
+  const start = Math.max(0, at - SNIPPET)
+  return [
+    start > 0 ? '…' : '',
+    text.slice(start, at),
+    <mark key='mark'>{text.slice(at, at + word.length)}</mark>,
+    text.slice(at + word.length, at + word.length + SNIPPET),
+    at + word.length + SNIPPET < text.length ? '…' : ''
+  ]
+}
+
+// "Item 5: …" for a label of the index, in the reader's locale.
+const Label = ({ label }) => {
+  const t = useMessages()
+  const title = pick(label.title, useLocale())
+  return label.number ? `${t(label.kind, { number: label.number })}: ${title}` : title
+}
+
+export default () => {
+  const { basePath } = useRouter()
+  const t = useMessages()
+  const [index, setIndex] = useState(null)
+  const [query, setQuery] = useState('')
+  const [open, setOpen] = useState(false)
+
+  const results = index && query.trim() ? search(index, query) : []
+
+  return (
+    <div className='search' onKeyDown={event => event.key === 'Escape' && setOpen(false)}>
+      <input
+        type='search'
+        placeholder={t('search')}
+        aria-label={t('search')}
+        value={query}
+        onFocus={() => {
+          setOpen(true)
+          loadIndex(basePath).then(setIndex, () => setOpen(false))
+        }}
+        onChange={event => {
+          setQuery(event.target.value)
+          setOpen(true)
+        }}
+      />
+      {open && query.trim() && (
+        <ol className='results'>
+          {!index && <li className='status'>{t('search.loading')}</li>}
+          {index && results.length === 0 && <li className='status'>{t('search.empty')}</li>}
+          {results.map(({ doc }, position) => (
+            <li key={position}>
+              <LocaleLink path={doc.path}>
+                <a onClick={() => setOpen(false)}>
+                  <span className='label'><Label label={index.labels[doc.label]} /></span>
+                  <span className='lang'>{doc.lang === 'code' ? t('search.code') : NAMES[doc.lang] || doc.lang}</span>
+                  <span className={doc.lang === 'code' ? 'snippet code' : 'snippet'}>
+                    <Snippet text={doc.text} query={query} />
+                  </span>
+                </a>
+              </LocaleLink>
+            </li>
+          ))}
+        </ol>
+      )}
+      <style jsx>{`
+        .search { position: relative; display: inline-block; margin-left: 1em; }
+        input { width: 16em; }
+        .results { position: absolute; z-index: 10; right: 0; width: 32em; max-height: 70vh; overflow-y: auto; margin: 0; padding: 0; list-style: none; background: var(--surface); box-shadow: 0 4px 12px var(--shadow); }
+        li { border-bottom: 1px solid var(--rule); }
+        a { display: block; padding: 0.5em; color: inherit; text-decoration: none; }
+        a:hover, a:focus { background: var(--tint); }
+        .label { font-weight: bold; color: var(--heading); }
+        .lang { float: right; font-size: 12px; color: var(--en); }
+        .snippet { display: block; font-size: 14px; }
+        .code { font-family: monospace; white-space: pre-wrap; }
+        .status { padding: 0.5em; color: var(--muted); }
+      `}</style>
+    </div>
+  )
+}
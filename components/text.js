@@ -0,0 +1,49 @@
+import { createContext, useContext } from 'react'
+import { FIGURE_LABELS, parseInline, stripInline, figureKey } from '../lib/inline'
+import { withTerms } from '../lib/glossary'
+import { LocaleLink, translate } from './locale'
+
+// The targets of the item and figure references on the page, from
+// getReferences() in lib/content.js.
+const References = createContext({ items: {}, figures: {} })
+
+export const ReferencesProvider = References.Provider
+
+// Labelled, like figures, in the language of the text around them.
+const Reference = ({ number, lang, children }) => {
+  const target = useContext(References).items[number]
+  if (!target) return children
+  const title = target.title[lang] || target.title.en
+  return (
+    <LocaleLink path={target.path}>
+      <a className='ref' title={`${translate(lang || 'en', 'item', { number })}: ${stripInline(title)}`}>{children}</a>
+    </LocaleLink>
+  )
+}
+
+const FigureReference = ({ kind, number, lang, children }) => {
+  const target = useContext(References).figures[figureKey(kind, number)]
+  if (!target) return children
+  const caption = target.caption[lang] || target.caption.en
+  return (
+    <LocaleLink path={target.path}>
+      <a className='ref' title={`${FIGURE_LABELS[kind][lang || 'en']} ${number}: ${stripInline(caption)}`}>{children}</a>
+    </LocaleLink>
+  )
+}
+
+// Renders a translated string, turning its inline markup into elements.
+// Given the string's language, glossary terms get a tooltip too.
+export default ({ children, lang }) => {
+  const nodes = parseInline(children)
+  return (lang ? withTerms(nodes, lang) : nodes).map((node, index) => {
+    switch (node.type) {
+      case 'code': return <code key={index}>{node.value}</code>
+      case 'strong': return <strong key={index}>{node.value}</strong>
+      case 'item': return <Reference key={index} number={node.number} lang={lang}>{node.value}</Reference>
+      case 'figure': return <FigureReference key={index} kind={node.kind} number={node.number} lang={lang}>{node.value}</FigureReference>
+      case 'term': return <abbr key={index} className='term' title={node.title}>{node.value}</abbr>
+      default: return node.value
+    }
+  })
+}
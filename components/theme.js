@@ -0,0 +1,168 @@
+import { useEffect, useState } from 'react'
+import css from 'styled-jsx/css'
+import { useMessages } from './locale'
+
+// The reader's choice of colours. Every colour of the site is one of the
+// custom properties below, so a theme is just another set of values.
+export const THEMES = [
+  { id: 'light' },
+  { id: 'dark' },
+  { id: 'high-contrast' }
+]
+
+const DEFAULT_THEME = 'light'
+const STORAGE_KEY = 'theme'
+
+const isTheme = value => THEMES.some(theme => theme.id === value)
+
+export const themeStyles = css.global`
+  :root, :root[data-theme='light'] {
+    --text: #2D0D0D;
+    --background: #FFFFFF;
+    --page: #CEDDF1;
+    --surface: #FFFFFF;
+    --tint: #F3F7FC;
+    --rule: #CEDDF1;
+    --heading: #867452;
+    --es: #A52A2A;
+    --en: #75AFAD;
+    --code: #395C73;
+    --link: #1F4E79;
+    --quote: #111AD5;
+    --muted: #999999;
+    --gutter: #9AA9B8;
+    --mark: #F5FD11;
+    --mark-text: #000000;
+    --note: #FFA500;
+    --dirty: #FFF8E1;
+    --shadow: rgba(0, 0, 0, 0.9);
+    --code-background: rgba(255, 255, 255, 0.4);
+    --token-comment: #6A737D;
+    --token-string: #22863A;
+    --token-number: #B45E00;
+    --token-keyword: #A0276E;
+    --console-background: #2D2D2D;
+    --console-text: #EEEEEE;
+    --console-result: #9CDCFE;
+    --console-warn: #E5C07B;
+    --console-error: #F48771;
+  }
+  :root[data-theme='dark'] {
+    --text: #E8E2D6;
+    --background: #15181D;
+    --page: #1F2530;
+    --surface: #2A303B;
+    --tint: #28303D;
+    --rule: #3A4352;
+    --heading: #D4BF94;
+    --es: #E39B7B;
+    --en: #8FD0CD;
+    --code: #9CC3E0;
+    --link: #8AB4F8;
+    --quote: #A7B4FF;
+    --muted: #8A9099;
+    --gutter: #5E6B78;
+    --mark: #6B6400;
+    --mark-text: #FFFFFF;
+    --note: #A35D00;
+    --dirty: #3D3420;
+    --shadow: rgba(0, 0, 0, 0.6);
+    --code-background: rgba(0, 0, 0, 0.25);
+    --token-comment: #8B949E;
+    --token-string: #7EE787;
+    --token-number: #F0A35E;
+    --token-keyword: #FF7BC0;
+    --console-background: #0E1116;
+    --console-text: #E8E2D6;
+    --console-result: #9CDCFE;
+    --console-warn: #E5C07B;
+    --console-error: #F48771;
+  }
+  :root[data-theme='high-contrast'] {
+    --text: #FFFFFF;
+    --background: #000000;
+    --page: #000000;
+    --surface: #000000;
+    --tint: #1A1A1A;
+    --rule: #FFFFFF;
+    --heading: #FFFF00;
+    --es: #FFD280;
+    --en: #80FFFF;
+    --code: #FFFFFF;
+    --link: #00FFFF;
+    --quote: #FFFFFF;
+    --muted: #D0D0D0;
+    --gutter: #FFFFFF;
+    --mark: #FFFF00;
+    --mark-text: #000000;
+    --note: #FFBF00;
+    --dirty: #333300;
+    --shadow: rgba(255, 255, 255, 0.6);
+    --code-background: #000000;
+    --token-comment: #D0D0D0;
+    --token-string: #80FF80;
+    --token-number: #FFBF00;
+    --token-keyword: #FF80FF;
+    --console-background: #000000;
+    --console-text: #FFFFFF;
+    --console-result: #80FFFF;
+    --console-warn: #FFFF00;
+    --console-error: #FF8080;
+  }
+
+  body { color: var(--text); background: var(--background); }
+  a { color: var(--link); }
+  .col-md-6 { display: block; box-sizing: border-box; max-width: var(--reading-width, 1100px); min-height: 70%; margin: auto; padding: 4.7em; overflow: hidden; border: none; border-radius: 4px; box-shadow: 0 9px 9px var(--shadow); background-color: var(--page); color: var(--text); font-family: var(--reading-font, Verdana); line-height: var(--reading-line-height, 1.1); white-space: pre-wrap; }
+  .home { margin: 1.5em 0; }
+  h1 { color: var(--heading); font-size: calc(2.5 * var(--reading-size, 24px)); }
+  h2 { color: var(--heading); font-size: calc(1.67 * var(--reading-size, 24px)); }
+  h3 { color: var(--heading); font-size: calc(1.25 * var(--reading-size, 24px)); }
+  .it, .listit { color: var(--es); font-size: var(--reading-size, 24px); font-style: var(--es-style, italic); letter-spacing: 0.04em; }
+  .p, .listitem { color: var(--en); font-size: var(--reading-size, 24px); font-style: italic; letter-spacing: 0.04em; }
+  pre { display: block; margin: 1em 0; font-family: monospace; font-size: 16px; white-space: pre; }
+  code { margin: auto; font-family: "Lucida Console", "Andale Mono", "Courier New", Courier, monospace; font-style: normal; color: var(--code); }
+  code strong { padding: 1px; font-weight: normal; color: var(--mark-text); background: var(--mark); }
+  .interno { font-family: verdana; font-style: italic; color: var(--code); font-size: var(--reading-size, 24px); }
+  .im { color: var(--code); }
+  .re { color: var(--token-keyword); }
+  .sub { text-decoration: underline; }
+  .term { text-decoration: underline dotted; cursor: help; }
+  .side { display: grid; grid-template-columns: 1fr 1fr; grid-column-gap: 2em; }
+  blockquote { color: var(--quote); font-size: var(--reading-size, 24px); font-style: italic; letter-spacing: 0.04em; }
+  .note { margin: 1em 40px; padding: 3px; background: var(--note); }
+`
+
+// The current theme and a setter. The choice is saved for later visits and
+// set on the root element, where the custom properties are looked up.
+export const useThemeState = () => {
+  const [theme, setTheme] = useState(DEFAULT_THEME)
+
+  const apply = next => {
+    setTheme(next)
+    window.localStorage.setItem(STORAGE_KEY, next)
+    document.documentElement.setAttribute('data-theme', next)
+  }
+
+  useEffect(() => {
+    const saved = window.localStorage.getItem(STORAGE_KEY)
+    if (isTheme(saved)) apply(saved)
+  }, [])
+
+  return [theme, apply]
+}
+
+export const ThemeSwitch = ({ theme, onChange }) => {
+  const t = useMessages()
+  return (
+    <label className='theme-switch'>
+      {t('theme')}{' '}
+      <select value={theme} onChange={event => onChange(event.target.value)}>
+        {THEMES.map(option => <option key={option.id} value={option.id}>{t(`theme.${option.id}`)}</option>)}
+      </select>
+      <style jsx>{`
+        .theme-switch { margin-left: 1em; }
+        select { border: 1px solid var(--heading); color: var(--text); background: var(--surface); }
+      `}</style>
+    </label>
+  )
+}
@@ -0,0 +1,12 @@
+// Book order. Each entry is a chapter file in the format described in
+// lib/content.js; adding a chapter means adding its file here.
+module.exports = [
+  require('./preface.json'),
+  require('./chapter-1.json'),
+  require('./chapter-2.json'),
+  require('./chapter-3.json'),
+  require('./chapter-4.json'),
+  require('./chapter-5.json'),
+  require('./chapter-6.json'),
+  require('./chapter-7.json')
+]
@@ -0,0 +1,178 @@
+/**
+ * Finds what the PDF → .docx extraction left in the content files, for
+ * scripts/lint-content.js. Works on chapter files as stored (see
+ * lib/content.js), so that fixes can be written back.
+ *
+ * Each finding is { type, where, key, found, fix }, where `fix` is the
+ * repaired text, or null when it takes a person to decide. Running heads are
+ * fixed by dropping the block, so theirs is the empty string.
+ */
+const { isRunningHead, buildVocabulary, rejoin } = require('./cleanup')
+const { TRANSLATIONS } = require('./languages')
+const { tableCells } = require('./progress')
+
+const TYPES = {
+  'split-word': 'a word split at a line end',
+  'running-head': 'a page header with its page number',
+  'double-space': 'a run of spaces',
+  'broken-comment': 'a "//" comment split into "/ /"',
+  'starless-comment': 'a "/* */" comment that lost its stars',
+  'fused-heading': 'a heading with body text run into it'
+}
+
+const SPLIT_WORD = /(?<![A-Za-zÀ-ÖØ-öø-ÿ])([A-Za-zÀ-ÖØ-öø-ÿ]+)- ([A-Za-zÀ-ÖØ-öø-ÿ]+)(?![A-Za-zÀ-ÖØ-öø-ÿ])/g
+const SPACES = / {2,}/g
+const BROKEN_COMMENT = /(^|[\s;)}])\/ \/(?=\s|$)/gm
+// "/* ... */" came through as "/\uf8ff ... /": the first star turned into a
+// private use character and the second was lost.
+const STARLESS_COMMENT = /\/\uf8ff([^\n/]*?) \//g
+
+// The repairs of a listing, by finding type.
+const COMMENT_REPAIRS = [
+  { type: 'broken-comment', pattern: BROKEN_COMMENT, replacement: '$1//' },
+  { type: 'starless-comment', pattern: STARLESS_COMMENT, replacement: '/*$1 */' }
+]
+// A heading ends at its first sentence; a question or a second sentence
+// means the paragraph after it was glued on.
+const FUSED = /[?!]|\.\s+[A-Z]/
+
+const languages = record => Object.keys(record)
+  .filter(key => /^[a-z]{2}$/.test(key) && typeof record[key] === 'string')
+
+// Split words are only repaired where the joined (or hyphenated) word occurs
+// elsewhere in the book in the same language, with the importer's rule;
+// "Mur- phey" is left for a person.
+const splitWords = (text, vocabulary) => Array.from(text.matchAll(SPLIT_WORD)).map(([match, head, tail]) => (
+  { type: 'split-word', found: match, fix: rejoin(head, tail, vocabulary) }
+))
+
+// The problems of one translated record. Only the English came through the
+// extraction, but translations made from it carry its split words over.
+const checkText = (record, vocabulary, isHeading) => languages(record).reduce((findings, key) => {
+  const text = record[key]
+  const found = []
+  found.push(...splitWords(text, vocabulary[key] || new Set()))
+  if (text.includes('  ')) found.push({ type: 'double-space', found: text.match(SPACES)[0], fix: text.replace(SPACES, ' ') })
+  if (key === 'en' && isHeading && FUSED.test(text)) found.push({ type: 'fused-heading', found: text, fix: null })
+  return findings.concat(found.map(finding => Object.assign({ key }, finding)))
+}, [])
+
+// A listing and its copies with translated comments.
+const LISTINGS = ['code'].concat(TRANSLATIONS)
+
+const checkCode = block => LISTINGS.filter(key => block[key]).reduce((findings, key) => findings.concat(
+  ...COMMENT_REPAIRS.map(repair => (block[key].match(repair.pattern) || []).map(match => ({
+    type: repair.type,
+    key,
+    found: match.trim(),
+    fix: block[key].replace(repair.pattern, repair.replacement)
+  })))
+), [])
+
+// The English titles of a chapter's items, by number, to know its running
+// heads by.
+const titlesOf = chapter => chapter.items.reduce((titles, item) => Object.assign(titles, { [item.number]: item.title.en }), {})
+
+const checkBlock = (block, vocabulary, titles) => {
+  if (block.type === 'paragraph' && isRunningHead(block.en, titles)) {
+    return [{ type: 'running-head', key: 'en', found: block.en, fix: '' }]
+  }
+  if (block.type === 'code') return checkCode(block)
+  if (block.type === 'list') return block.items.reduce((findings, entry) => findings.concat(checkText(entry, vocabulary)), [])
+  if (block.type === 'figure') return (block.caption ? [block.caption] : []).concat(tableCells(block)).reduce((findings, record) => findings.concat(checkText(record, vocabulary)), [])
+  return checkText(block, vocabulary, block.type === 'heading')
+}
+
+// The words of every language in the chapters, by language code, to tell
+// split words from hyphenated ones.
+const vocabularyOf = chapters => {
+  const texts = {}
+  const add = record => record && languages(record).forEach(key => (texts[key] = texts[key] || []).push(record[key]))
+  const addBlocks = blocks => blocks.forEach(block => {
+    add(block)
+    add(block.caption)
+    if (block.items) block.items.forEach(add)
+    tableCells(block).forEach(add)
+  })
+  chapters.forEach(chapter => {
+    add(chapter.title)
+    addBlocks(chapter.blocks)
+    chapter.items.forEach(item => {
+      add(item.title)
+      addBlocks(item.blocks)
+      item.remember.forEach(add)
+    })
+  })
+  return Object.keys(texts).reduce((vocabularies, key) => Object.assign(vocabularies, { [key]: buildVocabulary(texts[key]) }), {})
+}
+
+// The findings of a chapter, located by the same anchors lib/content.js
+// gives blocks by position.
+const lintChapter = (chapter, vocabulary) => {
+  const titles = titlesOf(chapter)
+  const located = (where, findings) => findings.map(finding => Object.assign({ where }, finding))
+  const blocks = (list, prefix) => list.reduce((findings, block, index) => (
+    findings.concat(located(`${prefix}-${index + 1}`, checkBlock(block, vocabulary, titles)))
+  ), [])
+  return located('title', checkText(chapter.title, vocabulary, true))
+    .concat(blocks(chapter.blocks, 'intro'))
+    .concat(chapter.items.reduce((findings, item) => findings
+      .concat(located(`item-${item.number}`, checkText(item.title, vocabulary, true)))
+      .concat(blocks(item.blocks, `item-${item.number}`))
+      .concat(item.remember.reduce((all, entry, index) => all.concat(
+        located(`item-${item.number} remember ${index + 1}`, checkText(entry, vocabulary))
+      ), [])), []))
+}
+
+const fixRecord = (record, vocabulary, key) => {
+  let text = record[key]
+  text = text.replace(SPLIT_WORD, (match, head, tail) => rejoin(head, tail, vocabulary[key] || new Set()) || match)
+  text = text.replace(SPACES, ' ')
+  const changed = text !== record[key]
+  record[key] = text
+  return changed ? 1 : 0
+}
+
+const fixRecords = (records, vocabulary) => records.reduce((count, record) => (
+  count + languages(record).reduce((sum, key) => sum + fixRecord(record, vocabulary, key), 0)
+), 0)
+
+const fixBlocks = (blocks, vocabulary, titles) => {
+  let count = 0
+  const kept = blocks.filter(block => {
+    const isHead = block.type === 'paragraph' && isRunningHead(block.en, titles)
+    if (isHead) count++
+    return !isHead
+  })
+  kept.forEach(block => {
+    if (block.type === 'code') {
+      LISTINGS.filter(key => block[key]).forEach(key => {
+        const fixed = COMMENT_REPAIRS.reduce((text, repair) => text.replace(repair.pattern, repair.replacement), block[key])
+        if (fixed !== block[key]) count++
+        block[key] = fixed
+      })
+    } else if (block.type === 'list') {
+      count += fixRecords(block.items, vocabulary)
+    } else if (block.type === 'figure') {
+      count += fixRecords((block.caption ? [block.caption] : []).concat(tableCells(block)), vocabulary)
+    } else {
+      count += fixRecords([block], vocabulary)
+    }
+  })
+  blocks.splice(0, blocks.length, ...kept)
+  return count
+}
+
+// Applies the safe fixes to a chapter in place. Returns how many records
+// changed.
+const fixChapter = (chapter, vocabulary) => {
+  const titles = titlesOf(chapter)
+  return fixRecords([chapter.title], vocabulary) +
+    fixBlocks(chapter.blocks, vocabulary, titles) +
+    chapter.items.reduce((count, item) => count +
+      fixRecords([item.title], vocabulary) +
+      fixBlocks(item.blocks, vocabulary, titles) +
+      fixRecords(item.remember, vocabulary), 0)
+}
+
+module.exports = { TYPES, vocabularyOf, lintChapter, fixChapter }
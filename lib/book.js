@@ -0,0 +1,41 @@
+/**
+ * What the EPUB and PDF writers (lib/epub.js, lib/pdf.js) share. The
+ * language modes, and which version of each text a mode shows, are the
+ * site's, from lib/languages.js.
+ */
+const fs = require('fs')
+const path = require('path')
+const { MODES, ORIGINAL, DEFAULT_TRANSLATION, isBilingual, languages, versions, listing } = require('./languages')
+
+const TITLE = 'Effective JavaScript'
+const AUTHOR = 'David Herman'
+
+// What a book is called in file names and identifiers: its mode, and for
+// the bilingual modes the translation too, unless it is the Spanish, e.g.
+// "side-pt".
+const edition = (mode, translation = DEFAULT_TRANSLATION) => isBilingual(mode) && translation !== DEFAULT_TRANSLATION
+  ? `${mode}-${translation}`
+  : mode
+
+const MESSAGES = path.join(__dirname, '..', 'messages')
+
+// One of the site's interface strings in messages/<lang>.json, with its
+// "{name}" placeholders filled in from `values`, for the books' own labels.
+// Falls back to the English, as translate() in components/locale.js does.
+const message = (lang, key, values = {}) => {
+  const read = code => fs.existsSync(path.join(MESSAGES, `${code}.json`)) ? require(path.join(MESSAGES, `${code}.json`)) : {}
+  const text = read(lang)[key] || read(ORIGINAL)[key] || key
+  return text.replace(/\{(\w+)\}/g, (match, name) => name in values ? String(values[name]) : match)
+}
+
+// The image file behind a figure's site path, or null when it is missing.
+const figureFile = src => {
+  const file = path.join(__dirname, '..', 'public', src)
+  return fs.existsSync(file) ? file : null
+}
+
+// The numbered figures and tables of a chapter, in reading order.
+const numberedFigures = chapter => [chapter.blocks].concat(chapter.items.map(item => item.blocks))
+  .reduce((all, blocks) => all.concat(blocks.filter(block => block.type === 'figure' && block.number)), [])
+
+module.exports = { MODES, TITLE, AUTHOR, edition, message, languages, versions, listing, figureFile, numberedFigures }
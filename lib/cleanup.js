@@ -0,0 +1,114 @@
+/**
+ * Repairs for text that went through the book's PDF → .docx conversion:
+ * words split at line ends ("experi- ence"), runs of spaces and code that
+ * lost its line breaks and indentation.
+ */
+
+// A running head is the page header repeated on every right-hand page, e.g.
+// "Item 5: Avoid using == with Mixed Types<tab>17", its title sometimes cut
+// short ("Use IIFEs to ..."). Some lost the tab to a plain space on the way;
+// without it, only the item's own title makes a line one, so that prose like
+// "Item 3: this costs 3" stays.
+const RUNNING_HEAD = /^Item (\d+):\s+(.*?)(\t\s*|\s+)\d+$/
+
+const letters = text => text.toLowerCase().replace(/[^a-z0-9]+/g, '')
+
+// Whether `text` is a running head, given the English item titles by number.
+const isRunningHead = (text, titles) => {
+  const match = text.trim().match(RUNNING_HEAD)
+  if (!match) return false
+  return match[3].includes('\t') || (match[1] in titles && letters(match[2]) === letters(titles[match[1]]))
+}
+
+const WORD = /[A-Za-zÀ-ÖØ-öø-ÿ][A-Za-zÀ-ÖØ-öø-ÿ-]*[A-Za-zÀ-ÖØ-öø-ÿ]/g
+const SPLIT_WORD = /\b([A-Za-z]+)- ([A-Za-z]+)/g
+
+const collapseSpaces = text => text.replace(/[ \t ]+/g, ' ').trim()
+
+// Every word of the given texts, used to decide how to rejoin split words.
+const buildVocabulary = texts => {
+  const words = new Set()
+  texts.forEach(text => (text.match(WORD) || []).forEach(word => words.add(word.toLowerCase())))
+  return words
+}
+
+// A split word the vocabulary knows, joined or hyphenated the way it occurs
+// elsewhere in the book, or null.
+const rejoin = (head, tail, vocabulary) => {
+  const joined = head + tail
+  const hyphenated = `${head}-${tail}`
+  return vocabulary.has(joined.toLowerCase()) ? joined
+    : vocabulary.has(hyphenated.toLowerCase()) ? hyphenated
+      : null
+}
+
+// "experi- ence" becomes "experience", but "strict- mode" becomes
+// "strict-mode" when the vocabulary shows the hyphen belongs to the word.
+// Words the vocabulary does not know are joined before a lowercase tail.
+const dehyphenate = (text, vocabulary = new Set()) => text.replace(SPLIT_WORD, (match, head, tail) => (
+  rejoin(head, tail, vocabulary) || (/^[a-z]/.test(tail) ? head + tail : `${head}-${tail}`)
+))
+
+const OPENERS = { '{': '}', '(': ')', '[': ']' }
+
+// The bracket characters of a line of code, skipping strings and comments.
+const brackets = line => {
+  const found = []
+  let quote = null
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (quote) {
+      if (char === '\\') i++
+      else if (char === quote) quote = null
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === '/' && line[i + 1] === '/') {
+      break
+    } else if ('{}()[]'.includes(char)) {
+      found.push({ char, index: i })
+    }
+  }
+  return found
+}
+
+// Breaks a line after an unmatched "{" that still has code after it, the way
+// the conversion glued "function f(x) { "use strict";" into one line.
+const splitBlocks = line => {
+  const open = []
+  brackets(line).forEach(bracket => {
+    if (bracket.char === '{') open.push(bracket.index)
+    else if (bracket.char === '}') open.pop()
+  })
+  const at = open.find(index => line.slice(index + 1).trim() && !line.slice(index + 1).trim().startsWith('//'))
+  return at === undefined
+    ? [line]
+    : [line.slice(0, at + 1)].concat(splitBlocks(line.slice(at + 1).trim()))
+}
+
+// Indents code four spaces per level, as in the book. A line opening several
+// brackets at once, like "(function() {", only adds one level.
+const reindent = lines => {
+  const open = []
+  return lines.map(line => {
+    const trimmed = line.trim()
+    const found = brackets(trimmed)
+    let leading = 0
+    while (leading < found.length && found[leading].index === leading && !OPENERS[found[leading].char]) leading++
+    const level = open.length > leading ? open[open.length - 1 - leading] : 0
+    found.forEach(bracket => {
+      if (OPENERS[bracket.char]) open.push(level + 1)
+      else open.pop()
+    })
+    return trimmed ? '    '.repeat(level) + trimmed : ''
+  })
+}
+
+module.exports = {
+  isRunningHead,
+  collapseSpaces,
+  buildVocabulary,
+  rejoin,
+  dehyphenate,
+  splitBlocks,
+  reindent
+}
@@ -0,0 +1,48 @@
+/**
+ * Command-line options for the scripts in scripts/. Each script names its
+ * flags (--check) and its options taking a value (--language es,pt); an
+ * unknown option or a missing value ends it with its usage line.
+ */
+const { TRANSLATIONS } = require('./languages')
+
+const fail = (message, usage) => {
+  console.error(`${message}\n${usage}`)
+  process.exit(1)
+}
+
+// Fails unless every one of `values` is in `known`, naming the first that is
+// not as an unknown `what`.
+const checkKnown = (what, values, known, usage) => {
+  const unknown = values.find(value => !known.includes(value))
+  if (unknown) fail(`Unknown ${what} "${unknown}", expected one of ${known.join(', ')}`, usage)
+}
+
+// The options given in `argv`, by name without the dashes: true for a flag,
+// the value for the others.
+const parseArgs = (argv, { usage, flags = [], values = [] }) => {
+  const options = {}
+  for (let i = 0; i < argv.length; i++) {
+    const option = argv[i]
+    const name = option.replace(/^--/, '')
+    if (option.startsWith('--') && flags.includes(name)) {
+      options[name] = true
+    } else if (option.startsWith('--') && values.includes(name)) {
+      const next = argv[++i]
+      if (!next || next.startsWith('--')) fail(`${option} needs a value`, usage)
+      options[name] = next
+    } else {
+      fail(`Unknown option ${option}`, usage)
+    }
+  }
+  return options
+}
+
+// The languages of a --language value, or every translation without one.
+const languageList = (value, usage) => {
+  if (!value) return TRANSLATIONS
+  const languages = value.split(',')
+  checkKnown('language', languages, TRANSLATIONS, usage)
+  return languages
+}
+
+module.exports = { checkKnown, parseArgs, languageList }
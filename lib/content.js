@@ -0,0 +1,241 @@
+/**
+ * Access to the book content stored under content/.
+ *
+ * A chapter file looks like:
+ *
+ *   {
+ *     "id": "chapter-1",
+ *     "number": 1,                      // omitted for front matter
+ *     "published": ["es"],              // translations that must be complete to build
+ *     "title": { "en": "...", "es": "..." },
+ *     "blocks": [ ...block ],           // text before the first item
+ *     "items": [
+ *       {
+ *         "number": 1,
+ *         "title": { "en": "...", "es": "..." },
+ *         "blocks": [ ...block ],
+ *         "remember": [ { "en": "...", "es": "..." } ]
+ *       }
+ *     ]
+ *   }
+ *
+ * and a block is one of:
+ *
+ *   { "type": "paragraph", "en": "...", "es": "..." }
+ *   { "type": "heading", "level": 2, "en": "...", "es": "..." }
+ *   { "type": "code", "code": "...", "es": "..." }  // "es": comments translated
+ *   { "type": "figure", "kind": "figure", "src": "/static/...", "caption": { "en": "...", "es": "..." } }
+ *   { "type": "figure", "kind": "table", "caption": { ... }, "rows": [ [ { "en": "...", "es": "..." } ] ] }
+ *   { "type": "list", "items": [ { "en": "...", "es": "..." } ] }
+ *
+ * Each translation sits beside the English under its language code ("es",
+ * "pt", "fr"; see lib/languages.js), as "es" does above, listings included.
+ * Translated strings may use the inline markup understood by lib/inline.js.
+ * A missing code means the text has not been translated into that language
+ * yet, and the English is shown instead. Records edited in the /translate
+ * workbench also carry each translation's review status, e.g.
+ * "status": { "es": "reviewed", "pt": "draft" }.
+ *
+ * A figure's kind is "figure" or "table". Captions leave out the label:
+ * figures are numbered per chapter and kind when the content is loaded, so
+ * the first table of chapter 4 gets "number": "4.1". A figure whose image
+ * is not under public/ yet has no "src", and is shown as its caption alone.
+ * A table may carry its cells instead, in "rows", the header row first; each
+ * cell is translated like a paragraph.
+ */
+const chapters = require('../content')
+const { itemRecords, translatables, progressByLanguage } = require('./progress')
+const { findReferences, figureKey, stripInline } = require('./inline')
+
+// Anchors are derived from position so the files don't have to carry them.
+// Headings are linked to more than anything else, so they get an anchor made
+// from their English text instead, which stays put as blocks come and go.
+const withIds = (blocks, prefix, slugs) => blocks.map((block, index) => {
+  const slug = block.type === 'heading' && slugs.take(block.en)
+  return Object.assign({ id: slug || `${prefix}-${index + 1}` }, block)
+})
+
+const slugify = text => stripInline(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+
+// Hands out slugs unique within a chapter, numbering repeats. The items' own
+// anchors count as taken; the chapter has none, so a "Preface" heading is
+// plain #preface.
+const slugger = chapter => {
+  const used = new Map(chapter.items.map(item => [`item-${item.number}`, 1]))
+  return {
+    take: text => {
+      const slug = slugify(text)
+      if (!slug) return null
+      const count = (used.get(slug) || 0) + 1
+      used.set(slug, count)
+      return count > 1 ? `${slug}-${count}` : slug
+    }
+  }
+}
+
+// Numbered chapters live under /chapter/N; front matter keeps a page of its own.
+// The site serves each path under every locale (see components/locale.js).
+const chapterPath = chapter => chapter.number ? `/chapter/${chapter.number}` : `/${chapter.id}`
+
+// Numbers the figures of a numbered chapter in reading order, counting
+// figures and tables separately.
+const withFigureNumbers = chapter => {
+  if (!chapter.number) return chapter
+  const counts = {}
+  const number = blocks => blocks.map(block => {
+    if (block.type !== 'figure') return block
+    counts[block.kind] = (counts[block.kind] || 0) + 1
+    return Object.assign({}, block, { number: `${chapter.number}.${counts[block.kind]}` })
+  })
+  return Object.assign({}, chapter, {
+    blocks: number(chapter.blocks),
+    items: chapter.items.map(item => Object.assign({}, item, { blocks: number(item.blocks) }))
+  })
+}
+
+const load = chapter => {
+  const path = chapterPath(chapter)
+  const slugs = slugger(chapter)
+  return withFigureNumbers(Object.assign({}, chapter, {
+    path,
+    blocks: withIds(chapter.blocks, 'intro', slugs),
+    items: chapter.items.map(item => Object.assign({}, item, {
+      id: `item-${item.number}`,
+      path: `${path}/item/${item.number}`,
+      blocks: withIds(item.blocks, `item-${item.number}`, slugs)
+    }))
+  }))
+}
+
+const book = chapters.map(load)
+
+const getChapter = id => book.find(chapter => chapter.id === id)
+
+const getChapterByNumber = number => book.find(chapter => chapter.number === Number(number))
+
+// The table of contents: titles, paths and translation progress in every
+// language, no text.
+const getContents = () => book.map(chapter => ({
+  id: chapter.id,
+  number: chapter.number || null,
+  title: chapter.title,
+  path: chapter.path,
+  progress: progressByLanguage(translatables(chapter)),
+  items: chapter.items.map(item => ({
+    number: item.number,
+    title: item.title,
+    path: item.path,
+    progress: progressByLanguage(itemRecords(item))
+  }))
+}))
+
+// Every item's "Things to Remember", by chapter, for the cheat sheet.
+const getCheatsheet = () => book.filter(chapter => chapter.number).map(chapter => ({
+  id: chapter.id,
+  number: chapter.number,
+  title: chapter.title,
+  path: chapter.path,
+  items: chapter.items.map(item => ({
+    number: item.number,
+    title: item.title,
+    path: item.path,
+    remember: item.remember
+  }))
+}))
+
+const items = new Map()
+book.forEach(chapter => chapter.items.forEach(item => items.set(item.number, { chapter, item })))
+
+const chapterLink = chapter => chapter && {
+  kind: 'chapter',
+  number: chapter.number || null,
+  title: chapter.title,
+  path: chapter.path
+}
+
+const itemLink = target => target && {
+  kind: 'item',
+  number: target.item.number,
+  title: target.item.title,
+  path: target.item.path
+}
+
+// Where a chapter or item page sits in the book, for the layout:
+//
+//   {
+//     breadcrumbs: [ link ],
+//     items: { previous: link, next: link },     // item pages only, else null
+//     chapters: { previous: link, next: link },
+//     anchors: [ id ]                            // chapter pages only, else []
+//   }
+//
+// with each link { kind, number, title, path }, `kind` being "chapter" or
+// "item" and `number` null for front matter. Items lead to the neighbouring
+// items across chapters, and chapters to the neighbouring chapters, front
+// matter included; links are null at either end. `anchors` are the ids of the
+// items shown on a chapter page, for moving between them.
+const getNavigation = (chapter, item) => {
+  const index = book.findIndex(entry => entry.id === chapter.id)
+  return {
+    breadcrumbs: [chapterLink(chapter)].concat(item ? [itemLink({ item })] : []),
+    items: item
+      ? { previous: itemLink(items.get(item.number - 1)) || null, next: itemLink(items.get(item.number + 1)) || null }
+      : null,
+    chapters: { previous: chapterLink(book[index - 1]) || null, next: chapterLink(book[index + 1]) || null },
+    anchors: item ? [] : chapter.items.map(entry => entry.id)
+  }
+}
+
+const figures = new Map()
+book.forEach(chapter => [chapter.blocks].concat(chapter.items.map(item => item.blocks)).forEach(blocks => blocks
+  .filter(block => block.type === 'figure' && block.number)
+  .forEach(block => figures.set(figureKey(block.kind, block.number), { chapter, block }))))
+
+// What the pages need to link the "see Item N" and "see Figure N.M"
+// references in a chapter or an item:
+//
+//   { items: { [number]: { path, title } }, figures: { [key]: { path, caption } } }
+//
+// with figures keyed as by figureKey() in lib/inline.js. References to items
+// that have no page, or to figures that don't exist, are left as text, with a
+// warning during the build.
+const getReferences = (section, name) => {
+  const records = section.items ? translatables(section) : itemRecords(section)
+  const numbers = new Set()
+  const keys = new Set()
+  records.forEach(record => Object.keys(record)
+    .filter(key => key !== 'id' && key !== 'type' && typeof record[key] === 'string')
+    .forEach(key => {
+      const found = findReferences(record[key])
+      found.items.forEach(number => numbers.add(number))
+      found.figures.forEach(figure => keys.add(figure))
+    }))
+
+  const references = { items: {}, figures: {} }
+  Array.from(numbers).sort((a, b) => a - b).forEach(number => {
+    const target = items.get(number)
+    if (!target) {
+      console.warn(`warn  - ${name} refers to Item ${number}, which has no page yet`)
+      return
+    }
+    references.items[number] = {
+      path: `${target.chapter.path}#${target.item.id}`,
+      title: target.item.title
+    }
+  })
+  Array.from(keys).sort().forEach(key => {
+    const target = figures.get(key)
+    if (!target) {
+      console.warn(`warn  - ${name} refers to ${key.replace('-', ' ')}, which does not exist`)
+      return
+    }
+    references.figures[key] = {
+      path: `${target.chapter.path}#${target.block.id}`,
+      caption: target.block.caption
+    }
+  })
+  return references
+}
+
+module.exports = { book, getChapter, getChapterByNumber, getContents, getCheatsheet, getNavigation, getReferences }
@@ -0,0 +1,78 @@
+/**
+ * A minimal reader for the body of a .docx file. It only understands what the
+ * importer needs: paragraphs (with their style, list membership and runs) and
+ * tables. Drawings and text boxes are reduced to an image count, since in the
+ * source document they only hold figure artwork and stray glyphs.
+ */
+const fs = require('fs')
+const JSZip = require('jszip')
+
+const MONO_FONTS = ['Lucida Sans Typewriter', 'Lucida Console', 'Courier New']
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+
+const decode = text => text.replace(/&(amp|lt|gt|quot|apos);/g, (match, name) => ENTITIES[name])
+
+// Drawings and legacy VML shapes may contain whole paragraphs (text boxes),
+// which would confuse the flat paragraph scan below.
+const stripDrawings = xml => xml
+  .replace(/<mc:AlternateContent>[\s\S]*?<\/mc:AlternateContent>/g, '<w:image/>')
+  .replace(/<w:drawing>[\s\S]*?<\/w:drawing>/g, '<w:image/>')
+  .replace(/<w:pict>[\s\S]*?<\/w:pict>/g, '<w:image/>')
+
+const attribute = (xml, tag, name) => {
+  const match = xml.match(new RegExp(`<${tag}\\b[^>]*\\b${name}="([^"]*)"`))
+  return match ? match[1] : null
+}
+
+const readRun = xml => {
+  const properties = (xml.match(/<w:rPr>([\s\S]*?)<\/w:rPr>/) || [])[1] || ''
+  const font = attribute(properties, 'w:rFonts', 'w:ascii')
+  const text = (xml.match(/<w:t\b[^>]*>[^<]*<\/w:t>|<w:tab\/>|<w:br\/>/g) || [])
+    .map(part => part === '<w:tab/>' ? '\t' : part === '<w:br/>' ? '\n' : decode(part.replace(/<[^>]+>/g, '')))
+    .join('')
+  return {
+    text,
+    font,
+    mono: MONO_FONTS.includes(font),
+    bold: /<w:b\/>/.test(properties),
+    italic: /<w:i\/>/.test(properties),
+    image: /<w:image\/>/.test(xml)
+  }
+}
+
+const readParagraph = xml => {
+  const properties = (xml.match(/<w:pPr>([\s\S]*?)<\/w:pPr>/) || [])[1] || ''
+  const runs = (xml.match(/<w:r\b[\s\S]*?<\/w:r>/g) || []).map(readRun)
+  return {
+    type: 'paragraph',
+    style: attribute(properties, 'w:pStyle', 'w:val'),
+    list: /<w:numPr>/.test(properties),
+    runs: runs.filter(run => run.text),
+    images: runs.filter(run => run.image).length
+  }
+}
+
+const readTable = xml => ({
+  type: 'table',
+  rows: (xml.match(/<w:tr\b[\s\S]*?<\/w:tr>/g) || []).map(row => (
+    (row.match(/<w:tc\b[\s\S]*?<\/w:tc>/g) || []).map(cell => (
+      (cell.match(/<w:p\b[\s\S]*?<\/w:p>/g) || []).map(readParagraph)
+    ))
+  ))
+})
+
+// Resolves to the body elements of the document, in order.
+const readDocx = async file => {
+  const zip = await JSZip.loadAsync(fs.readFileSync(file))
+  const xml = stripDrawings(await zip.file('word/document.xml').async('string'))
+  const body = xml.slice(xml.indexOf('<w:body>'), xml.lastIndexOf('</w:body>'))
+  return (body.match(/<w:tbl>[\s\S]*?<\/w:tbl>|<w:p\b[^>]*\/>|<w:p\b[\s\S]*?<\/w:p>/g) || []).map(element => (
+    element.startsWith('<w:tbl>') ? readTable(element) : readParagraph(element)
+  ))
+}
+
+// The plain text of a paragraph.
+const paragraphText = paragraph => paragraph.runs.map(run => run.text).join('')
+
+module.exports = { readDocx, paragraphText }
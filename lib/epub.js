@@ -0,0 +1,222 @@
+/**
+ * Writes the book as an EPUB 3: one XHTML document per chapter, a navigation
+ * document listing chapters and items, the figures that exist under public/
+ * and the mode's languages in the package metadata.
+ */
+const fs = require('fs')
+const path = require('path')
+const JSZip = require('jszip')
+const { FIGURE_LABELS, parseInline, stripInline, figureKey } = require('./inline')
+const { tokenize } = require('./highlight')
+const { TITLE, AUTHOR, edition, message, languages, versions, listing, figureFile, numberedFigures } = require('./book')
+const { ORIGINAL, DEFAULT_TRANSLATION } = require('./languages')
+
+const escape = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const STYLE = `
+body { font-family: serif; line-height: 1.4; }
+h1, h2, h3 { font-family: sans-serif; color: #5a4a2c; }
+.translation { font-style: italic; color: #7a2e0e; }
+.subtitle { margin-top: -0.5em; }
+pre { font-size: 0.8em; white-space: pre-wrap; background: #f4f4f4; padding: 0.5em; }
+pre .comment { color: #6a737d; font-style: italic; }
+pre .string, pre .regexp { color: #22863a; }
+pre .number, pre .literal { color: #b45e00; }
+pre .keyword { color: #a0276e; font-weight: bold; }
+.figure { text-align: center; }
+.figure img { max-width: 100%; }
+.caption { font-size: 0.9em; }
+table.side { width: 100%; border-collapse: collapse; }
+table.side td { width: 50%; vertical-align: top; padding: 0 0.5em; }
+table.cells { width: 100%; border-collapse: collapse; font-size: 0.9em; }
+table.cells th, table.cells td { text-align: left; vertical-align: top; padding: 0.2em 0.4em; border-bottom: 1px solid #cccccc; }
+table.cells p { margin: 0; }
+`
+
+const chapterHref = chapter => `${chapter.id}.xhtml`
+
+// XHTML for a string with inline markup. Item and figure references link to
+// their target in its chapter document.
+const inline = (text, context) => parseInline(text).map(node => {
+  if (node.type === 'code') return `<code>${escape(node.value)}</code>`
+  if (node.type === 'strong') return `<strong>${escape(node.value)}</strong>`
+  const href = node.type === 'item' ? context.items.get(node.number)
+    : node.type === 'figure' ? context.figures.get(figureKey(node.kind, node.number))
+      : null
+  return href ? `<a href="${href}">${escape(node.value)}</a>` : escape(node.value)
+}).join('')
+
+const languageClass = lang => lang === ORIGINAL ? lang : `${lang} translation`
+
+// The record's versions as paragraphs, or as the two cells of a row in the
+// side-by-side mode.
+const paragraphs = (record, context, tag = 'p', className = '', prefix = () => '') => {
+  const shown = versions(record, context.mode, context.translation)
+  const element = version => `<${tag} lang="${version.lang}" xml:lang="${version.lang}" class="${[languageClass(version.lang), className].filter(Boolean).join(' ')}">` +
+    `${prefix(version.lang)}${inline(version.text, context)}</${tag}>`
+  if (context.mode !== 'side') return shown.map(element).join('\n')
+  const cell = lang => shown.filter(version => version.lang === lang).map(element).join('')
+  return `<table class="side"><tr><td>${cell(ORIGINAL)}</td><td>${cell(context.translation)}</td></tr></table>`
+}
+
+// A title in the first language shown, with the English under a translated
+// one in the bilingual modes.
+const title = (record, context, tag, id, prefix = '') => {
+  const [main, ...rest] = versions(record, context.mode, context.translation)
+  const heading = `<${tag}${id ? ` id="${id}"` : ''} lang="${main.lang}" xml:lang="${main.lang}">${prefix}${inline(main.text, context)}</${tag}>`
+  return [heading].concat(rest.map(version => (
+    `<p class="subtitle ${languageClass(version.lang)}" lang="${version.lang}" xml:lang="${version.lang}">${inline(version.text, context)}</p>`
+  ))).join('\n')
+}
+
+const code = source => `<pre><code>${tokenize(source).map(token => token.type === 'plain'
+  ? escape(token.value)
+  : `<span class="${token.type}">${escape(token.value)}</span>`).join('')}</code></pre>`
+
+// A table's cells, each with the versions of its text one under the other
+// whatever the mode, since a cell is too narrow for two columns.
+const cells = (rows, context) => `<table class="cells">${rows.map((row, index) => {
+  const tag = index === 0 ? 'th' : 'td'
+  return `<tr>${row.map(cell => `<${tag}>${paragraphs(cell, Object.assign({}, context, { mode: context.mode === 'side' ? 'interleaved' : context.mode }))}</${tag}>`).join('')}</tr>`
+}).join('')}</table>`
+
+const figure = (block, context) => {
+  const file = block.src && figureFile(block.src)
+  const labels = FIGURE_LABELS[block.kind] || FIGURE_LABELS.figure
+  const label = lang => block.number ? `<strong>${labels[lang]} ${block.number}</strong> ` : ''
+  const caption = block.caption ? paragraphs(block.caption, context, 'p', 'caption', label) : ''
+  if (block.rows) return `<div class="figure" id="${block.id}">${caption}${cells(block.rows, context)}</div>`
+  if (!file) {
+    if (block.src) context.warnings.push(`missing figure ${block.src}`)
+    return `<div class="figure" id="${block.id}">${caption}</div>`
+  }
+  const name = `images/${path.basename(file)}`
+  context.images.set(name, file)
+  const alt = block.caption ? stripInline(block.caption.en) : labels.en
+  return `<div class="figure" id="${block.id}"><img src="${name}" alt="${escape(alt)}"/>${caption}</div>`
+}
+
+const block = (entry, context) => {
+  switch (entry.type) {
+    case 'heading': return title(entry, context, `h${Math.min(entry.level + 1, 6)}`, entry.id)
+    case 'paragraph': return paragraphs(entry, context)
+    case 'code': return code(listing(entry, context.mode, context.translation))
+    case 'figure': return figure(entry, context)
+    case 'list': return `<ul id="${entry.id}">${entry.items.map(item => `<li>${paragraphs(item, context)}</li>`).join('')}</ul>`
+    default: return ''
+  }
+}
+
+const document = (heading, body, lang) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${lang}" xml:lang="${lang}">
+<head>
+<meta charset="utf-8"/>
+<title>${escape(heading)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`
+
+// "Item 5: ", in the book's first language, before an item's title.
+const itemLabel = (item, context) => `${message(context.lang, 'item', { number: item.number })}: `
+
+const chapterDocument = (chapter, context) => {
+  const prefix = chapter.number ? `<span class="number">${chapter.number}</span> ` : ''
+  const body = [title(chapter.title, context, 'h1', null, prefix)]
+    .concat(chapter.blocks.map(entry => block(entry, context)))
+    .concat(chapter.items.map(item => [title(item.title, context, 'h2', item.id, itemLabel(item, context))]
+      .concat(item.blocks.map(entry => block(entry, context)))
+      .concat(item.remember.length ? [`<h3>${escape(message(context.lang, 'remember'))}</h3>`, '<ul class="remember">'] : [])
+      .concat(item.remember.map(entry => `<li>${paragraphs(entry, context)}</li>`))
+      .concat(item.remember.length ? ['</ul>'] : [])
+      .join('\n')))
+    .join('\n')
+  return document(stripInline(versions(chapter.title, context.mode, context.translation)[0].text), `<section epub:type="chapter" id="${chapter.id}">\n${body}\n</section>`, context.lang)
+}
+
+const navDocument = (book, context) => {
+  const entry = (href, record, prefix) => `<a href="${href}">${escape(prefix + stripInline(versions(record, context.mode, context.translation)[0].text))}</a>`
+  const list = book.map(chapter => {
+    const items = chapter.items.map(item => `<li>${entry(`${chapterHref(chapter)}#${item.id}`, item.title, itemLabel(item, context))}</li>`).join('\n')
+    return `<li>${entry(chapterHref(chapter), chapter.title, chapter.number ? `${chapter.number}. ` : '')}` +
+      (items ? `\n<ol>\n${items}\n</ol>` : '') + '</li>'
+  }).join('\n')
+  const heading = message(context.lang, 'contents')
+  return document(heading, `<nav epub:type="toc" id="toc">\n<h1>${escape(heading)}</h1>\n<ol>\n${list}\n</ol>\n</nav>`, context.lang)
+}
+
+const MEDIA_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.svg': 'image/svg+xml' }
+
+const packageDocument = (book, context) => {
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z')
+  const images = Array.from(context.images.keys())
+  const manifest = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '<item id="style" href="style.css" media-type="text/css"/>'
+  ]
+    .concat(book.map(chapter => `<item id="${chapter.id}" href="${chapterHref(chapter)}" media-type="application/xhtml+xml"/>`))
+    .concat(images.map((name, index) => `<item id="image-${index + 1}" href="${name}" media-type="${MEDIA_TYPES[path.extname(name)]}"/>`))
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${context.lang}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">urn:effective-javascript:${edition(context.mode, context.translation)}</dc:identifier>
+<dc:title>${escape(TITLE)}</dc:title>
+<dc:creator>${escape(AUTHOR)}</dc:creator>
+${languages(context.mode, context.translation).map(lang => `<dc:language>${lang}</dc:language>`).join('\n')}
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+${manifest.join('\n')}
+</manifest>
+<spine>
+<itemref idref="nav" linear="no"/>
+${book.map(chapter => `<itemref idref="${chapter.id}"/>`).join('\n')}
+</spine>
+</package>
+`
+}
+
+const CONTAINER = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`
+
+// Writes the book in `mode` to `file`, pairing the English with `translation`
+// in the bilingual modes. Resolves to the warnings, e.g. about figures whose
+// image is missing.
+const writeEpub = async (book, mode, file, translation = DEFAULT_TRANSLATION) => {
+  const items = new Map()
+  const figures = new Map()
+  book.forEach(chapter => {
+    chapter.items.forEach(item => items.set(item.number, `${chapterHref(chapter)}#${item.id}`))
+    numberedFigures(chapter).forEach(block => figures.set(figureKey(block.kind, block.number), `${chapterHref(chapter)}#${block.id}`))
+  })
+  const context = { mode, translation, lang: languages(mode, translation)[0], items, figures, images: new Map(), warnings: [] }
+
+  const zip = new JSZip()
+  // The mimetype must be the first entry, and stored uncompressed.
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' })
+  zip.file('META-INF/container.xml', CONTAINER)
+  zip.file('OEBPS/style.css', STYLE)
+  book.forEach(chapter => zip.file(`OEBPS/${chapterHref(chapter)}`, chapterDocument(chapter, context)))
+  zip.file('OEBPS/nav.xhtml', navDocument(book, context))
+  context.images.forEach((source, name) => zip.file(`OEBPS/${name}`, fs.readFileSync(source)))
+  zip.file('OEBPS/content.opf', packageDocument(book, context))
+
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' })
+  fs.writeFileSync(file, buffer)
+  return Array.from(new Set(context.warnings))
+}
+
+module.exports = { writeEpub }
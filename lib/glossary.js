@@ -0,0 +1,99 @@
+/**
+ * The glossary in content/glossary.json: technical terms and the renderings
+ * the translations agreed on. An entry looks like:
+ *
+ *   {
+ *     "en": "closure",                // matched with its plural and -ed/-ing forms
+ *     "es": ["clausura"],             // approved renderings, preferred first
+ *     "avoid": ["cierre"],            // renderings the glossary lint flags
+ *     "note": "...",                  // optional, shown in the tooltip
+ *     "tooltip": false                // optional, lint only
+ *   }
+ *
+ * with the renderings of other translations under their language codes
+ * ("pt": [...]). "avoid" lists Spanish renderings; for several languages it
+ * can be an object by language code instead. Translated forms match as
+ * prefixes, so "coaccionad" covers "coaccionados". A term without renderings
+ * in a language goes unmarked and unchecked in it.
+ */
+const glossary = require('../content/glossary.json')
+const { TRANSLATIONS, DEFAULT_TRANSLATION } = require('./languages')
+
+const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const LETTER_BEFORE = '(?<!\\p{L})'
+
+const englishPattern = term => new RegExp(`${LETTER_BEFORE}${escape(term)}(?:s|es|d|ed|ing)?(?!\\p{L})`, 'giu')
+
+const translatedPattern = forms => new RegExp(`${LETTER_BEFORE}(?:${forms.map(escape).join('|')})\\p{L}*`, 'giu')
+
+const avoided = (entry, language) => Array.isArray(entry.avoid)
+  ? (language === DEFAULT_TRANSLATION ? entry.avoid : [])
+  : (entry.avoid && entry.avoid[language]) || []
+
+// The patterns of an entry: its English term and, by language, its approved
+// renderings and those to avoid.
+const entries = glossary.map(entry => TRANSLATIONS
+  .filter(language => entry[language] && entry[language].length)
+  .reduce((compiled, language) => {
+    compiled[language] = translatedPattern(entry[language])
+    if (avoided(entry, language).length) compiled.avoid[language] = translatedPattern(avoided(entry, language))
+    return compiled
+  }, { entry, en: englishPattern(entry.en), avoid: {} }))
+
+const matches = (pattern, text) => {
+  pattern.lastIndex = 0
+  return Array.from(text.matchAll(pattern))
+}
+
+// English terms are explained with their Spanish rendering, if any.
+const tooltip = (entry, language) => {
+  const spanish = entry[DEFAULT_TRANSLATION] ? `: ${entry[DEFAULT_TRANSLATION][0]}` : ''
+  const term = language === 'en' ? `${entry.en}${spanish}` : `${entry[language][0]} (${entry.en})`
+  return entry.note ? `${term}. ${entry.note}` : term
+}
+
+// Splits the text nodes from parseInline() so that each glossary term in
+// them becomes a {type: 'term', value, title} node.
+const withTerms = (nodes, language) => nodes.reduce((result, node) => {
+  if (node.type !== 'text') return result.concat([node])
+  const found = entries
+    .filter(compiled => compiled.entry.tooltip !== false && compiled[language])
+    .reduce((all, compiled) => all.concat(matches(compiled[language], node.value).map(match => ({
+      index: match.index,
+      value: match[0],
+      title: tooltip(compiled.entry, language)
+    }))), [])
+    .sort((a, b) => a.index - b.index)
+
+  let last = 0
+  found.forEach(term => {
+    if (term.index < last) return
+    if (term.index > last) result.push({ type: 'text', value: node.value.slice(last, term.index) })
+    result.push({ type: 'term', value: term.value, title: term.title })
+    last = term.index + term.value.length
+  })
+  if (last < node.value.length) result.push({ type: 'text', value: node.value.slice(last) })
+  return result
+}, [])
+
+// The glossary problems of a translated record, for each term its English
+// text contains: renderings to avoid that it uses ({found}), or, when it has
+// none of the approved ones either, the missing rendering ({found: null}).
+const checkRecord = (record, language = DEFAULT_TRANSLATION) => {
+  if (!record[language]) return []
+  return entries
+    .filter(compiled => compiled[language] && matches(compiled.en, record.en).length)
+    .reduce((problems, compiled) => {
+      const avoid = compiled.avoid[language] ? matches(compiled.avoid[language], record[language]) : []
+      const approved = matches(compiled[language], record[language])
+      const found = avoid.length || approved.length ? avoid.map(match => match[0]) : [null]
+      return problems.concat(found.map(rendering => ({
+        term: compiled.entry.en,
+        found: rendering,
+        approved: compiled.entry[language]
+      })))
+    }, [])
+}
+
+module.exports = { glossary, withTerms, checkRecord }
@@ -0,0 +1,83 @@
+/**
+ * A small JavaScript tokenizer for highlighting the book's listings. It only
+ * has to tell comments, strings, regular expressions, numbers and keywords
+ * apart; everything else is plain text. Listings are ES5 (and the occasional
+ * fragment that doesn't parse), so it never throws on odd input.
+ */
+const KEYWORDS = new Set([
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+  'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'function',
+  'if', 'import', 'in', 'instanceof', 'let', 'new', 'return', 'super', 'switch',
+  'this', 'throw', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield'
+])
+
+const LITERALS = new Set(['true', 'false', 'null', 'undefined', 'NaN', 'Infinity'])
+
+// Tried in order at each position; the first that matches wins.
+const RULES = [
+  ['comment', /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+  ['string', /"(?:\\[\s\S]|[^"\\\n])*"?|'(?:\\[\s\S]|[^'\\\n])*'?|`(?:\\[\s\S]|[^`\\])*`?/y],
+  ['number', /(?:0[xX][\da-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)(?![\w$])/y],
+  ['word', /[A-Za-z_$][\w$]*/y],
+  ['space', /\s+/y]
+]
+
+const REGEXP = /\/(?:\\.|\[(?:\\.|[^\]\\\n])*\]|[^/\\\n[])+\/[gimsuy]*/y
+
+// A "/" starts a regular expression unless it follows something that has a
+// value: an identifier, a literal or a closing bracket.
+const canStartRegexp = previous => !previous ||
+  (previous.type === 'punctuation' && !/[)\]}]$/.test(previous.value)) ||
+  (previous.type === 'keyword' && previous.value !== 'this')
+
+const classify = word => KEYWORDS.has(word) ? 'keyword' : LITERALS.has(word) ? 'literal' : 'plain'
+
+// Splits source into {type, value} tokens whose values add up to the source.
+const tokenize = source => {
+  const tokens = []
+  let previous = null
+  let index = 0
+  const push = (type, value) => {
+    const last = tokens[tokens.length - 1]
+    if (last && last.type === type && type !== 'keyword') last.value += value
+    else tokens.push({ type, value })
+    if (type !== 'comment' && value.trim()) previous = tokens[tokens.length - 1]
+    index += value.length
+  }
+
+  while (index < source.length) {
+    if (source[index] === '/' && canStartRegexp(previous)) {
+      REGEXP.lastIndex = index
+      const match = REGEXP.exec(source)
+      if (match && !/^\/[/*]/.test(match[0])) {
+        push('regexp', match[0])
+        continue
+      }
+    }
+    const rule = RULES.find(([, pattern]) => {
+      pattern.lastIndex = index
+      return pattern.test(source)
+    })
+    if (rule) {
+      const [type, pattern] = rule
+      const value = source.slice(index, pattern.lastIndex)
+      push(type === 'word' ? classify(value) : type === 'space' ? 'plain' : type, value)
+    } else {
+      push('punctuation', source[index])
+    }
+  }
+  return tokens
+}
+
+// The tokens of each line, for listings shown with line numbers. Tokens that
+// span lines (block comments, template strings) are split at the line breaks.
+const highlightLines = source => {
+  const lines = [[]]
+  tokenize(source).forEach(token => token.value.split('\n').forEach((value, index) => {
+    if (index > 0) lines.push([])
+    if (value) lines[lines.length - 1].push({ type: token.type, value })
+  }))
+  return lines
+}
+
+module.exports = { tokenize, highlightLines }
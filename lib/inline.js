@@ -0,0 +1,77 @@
+/**
+ * The inline markup allowed inside translated strings: `code` and **strong**.
+ * Anything else is plain text, except for references to other items and to
+ * figures, which are recognized so they can be linked.
+ */
+const INLINE = /`([^`]+)`|\*\*(.+?)\*\*/g
+
+// "Item 13", "Items 3 and 5", "Items 18, 25, and 37" and the translations'
+// "ítem 8", "Artículo 4", "Elementos 3 y 5", "itens 3 e 5", "Items 3 et 5";
+// then "Figure 1.2", "Tables 4.1 and 4.2", "Figura 1.2", "Tableau 4.1". Only
+// a plural takes a list, so "Item 13, 2 times" stops at 13, and an English
+// lowercase "item 3" is not a reference.
+const REFERENCE = /(?<![\wÀ-ÿ])(?:((?:Item|[Íí]tem|[Aa]rt[ií]culo|Elemento) \d+\b|(?:Items|[Íí]tems|[Ii]tens|[Aa]rt[ií]culos|Elementos) \d+\b(?:(?:,? (?:and|or|y|o|e|et|ou) |, ?|–|-)\d+\b)*)|((?:Figur[ea]s?|Tabl[ea]s?|Tabelas?|Tableaux?) \d+\. ?\d+\b(?:(?:,? (?:and|or|y|o|e|et|ou) |, ?|–|-)\d+\. ?\d+\b)*))/g
+
+// The labels figures are numbered with, by kind and language.
+const FIGURE_LABELS = {
+  figure: { en: 'Figure', es: 'Figura', pt: 'Figura', fr: 'Figure' },
+  table: { en: 'Table', es: 'Tabla', pt: 'Tabela', fr: 'Tableau' }
+}
+
+// Splits a text node so that each item or figure number in a reference is a
+// node of its own. The words around the numbers stay text.
+const withReferences = text => {
+  const nodes = []
+  let last = 0
+  const pushText = value => {
+    if (value) nodes.push({ type: 'text', value })
+  }
+  text.replace(REFERENCE, (match, items, figures, offset) => {
+    pushText(text.slice(last, offset))
+    const kind = /^fig/i.test(match) ? 'figure' : 'table'
+    match.split(items ? /(\d+)/ : /(\d+\. ?\d+)/).forEach((part, index) => {
+      if (index % 2 === 0) pushText(part)
+      else if (items) nodes.push({ type: 'item', value: part, number: Number(part) })
+      else nodes.push({ type: 'figure', value: part, kind, number: part.replace(' ', '') })
+    })
+    last = offset + match.length
+  })
+  pushText(text.slice(last))
+  return nodes
+}
+
+// Splits a string into text, code, strong, item and figure nodes.
+const parseInline = source => {
+  let nodes = []
+  let last = 0
+  let match
+  INLINE.lastIndex = 0
+  while ((match = INLINE.exec(source))) {
+    if (match.index > last) {
+      nodes = nodes.concat(withReferences(source.slice(last, match.index)))
+    }
+    nodes.push(match[1] !== undefined
+      ? { type: 'code', value: match[1] }
+      : { type: 'strong', value: match[2] })
+    last = INLINE.lastIndex
+  }
+  if (last < source.length) {
+    nodes = nodes.concat(withReferences(source.slice(last)))
+  }
+  return nodes
+}
+
+// Plain text with the markup removed, for titles and other attributes.
+const stripInline = source => parseInline(source).map(node => node.value).join('')
+
+// The items and figures a string refers to, as item numbers and figure keys
+// like "figure-1.2" (see figureKey).
+const findReferences = source => parseInline(source).reduce((found, node) => {
+  if (node.type === 'item') found.items.push(node.number)
+  if (node.type === 'figure') found.figures.push(figureKey(node.kind, node.number))
+  return found
+}, { items: [], figures: [] })
+
+const figureKey = (kind, number) => `${kind}-${number}`
+
+module.exports = { FIGURE_LABELS, parseInline, stripInline, findReferences, figureKey }
@@ -0,0 +1,52 @@
+/**
+ * The languages of the book: the English original and the translations.
+ * Every translated record in content/ (see lib/content.js) holds its text
+ * under these codes, and a translation missing from a record is shown in
+ * English instead.
+ *
+ * A language mode (components/language.js) is "interleaved" or "side",
+ * which show one translation together with the English, or a single
+ * language code. A new translation is listed here and given its figure
+ * labels in lib/inline.js.
+ */
+const ORIGINAL = 'en'
+
+const NAMES = {
+  en: 'English',
+  es: 'Español',
+  pt: 'Português',
+  fr: 'Français'
+}
+
+const TRANSLATIONS = ['es', 'pt', 'fr']
+const DEFAULT_TRANSLATION = 'es'
+
+const MODES = ['interleaved', 'side', ORIGINAL].concat(TRANSLATIONS)
+
+const isBilingual = mode => mode === 'interleaved' || mode === 'side'
+
+// The languages of a text in `mode`, main language first. `translation` is
+// the one the bilingual modes pair with the English.
+const languages = (mode, translation = DEFAULT_TRANSLATION) => isBilingual(mode) ? [translation, ORIGINAL] : [mode]
+
+// The versions of a translated record to show, as [{lang, text}]. A
+// translation falls back to English where there is none yet; the bilingual
+// modes show the translation first, when there is one.
+const versions = (record, mode, translation = DEFAULT_TRANSLATION) => {
+  if (!isBilingual(mode)) return [record[mode] ? { lang: mode, text: record[mode] } : { lang: ORIGINAL, text: record[ORIGINAL] }]
+  return (record[translation] ? [{ lang: translation, text: record[translation] }] : [])
+    .concat([{ lang: ORIGINAL, text: record[ORIGINAL] }])
+}
+
+// The one string to use where only one language fits, like a heading: the
+// translation in single-language modes, else the English.
+const pick = (record, mode) => versions(record, isBilingual(mode) ? ORIGINAL : mode)[0].text
+
+// A listing in the mode's language: the copy with its comments translated,
+// stored under the language's code, unless the text is English only.
+const listing = (block, mode, translation = DEFAULT_TRANSLATION) => {
+  const language = isBilingual(mode) ? translation : mode
+  return language !== ORIGINAL && block[language] ? block[language] : block.code
+}
+
+module.exports = { ORIGINAL, NAMES, TRANSLATIONS, DEFAULT_TRANSLATION, MODES, isBilingual, languages, versions, pick, listing }
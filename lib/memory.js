@@ -0,0 +1,107 @@
+/**
+ * The translation memory: every passage of the book that has a translation,
+ * paired with it, for the /translate workbench to suggest when a translator
+ * opens a passage that has none. Passages are compared word by word, ignoring
+ * case, accents, inline markup and surrounding punctuation. A match's
+ * percentage is 100 less the word edit distance between the two English
+ * passages over the length of the longer one.
+ */
+const { fold } = require('./search')
+const { stripInline } = require('./inline')
+const { translatables } = require('./progress')
+const { DEFAULT_TRANSLATION } = require('./languages')
+
+const MIN_MATCH = 50
+const LIMIT = 5
+
+const EDGE_PUNCTUATION = /^[^\p{L}\p{N}_$]+|[^\p{L}\p{N}_$]+$/gu
+
+// The words of a passage, each with the spacing after it so that a diff joins
+// back into the text, and the key it is compared by.
+const words = text => (stripInline(text).match(/\S+\s*/g) || []).map(word => ({
+  text: word,
+  key: fold(word.trim()).replace(EDGE_PUNCTUATION, '') || word.trim()
+}))
+
+// The memory for `language`, from chapters in the format of lib/content.js.
+// Each entry knows the chapter and translatables() index it came from;
+// passages repeated word for word are kept once.
+const buildMemory = (chapters, language = DEFAULT_TRANSLATION) => {
+  const seen = new Set()
+  return chapters.reduce((memory, chapter) => memory.concat(translatables(chapter)
+    .map((record, index) => ({ chapter: chapter.id, index, en: record.en, translation: record[language] }))
+    .filter(entry => entry.translation && !seen.has(entry.en) && seen.add(entry.en))
+    .map(entry => Object.assign(entry, { words: words(entry.en) }))
+  ), [])
+}
+
+// How many keys two lists of words share, counting repeats. No alignment can
+// match more words than this, so it bounds the match percentage.
+const shared = (a, b) => {
+  const counts = a.reduce((all, word) => all.set(word.key, (all.get(word.key) || 0) + 1), new Map())
+  return b.reduce((count, word) => {
+    if (!counts.get(word.key)) return count
+    counts.set(word.key, counts.get(word.key) - 1)
+    return count + 1
+  }, 0)
+}
+
+// The word edit distance from `from` to `to`, and the diff it implies as
+// [{ text, change }] with change "same", "removed" (only in `from`) or "added"
+// (only in `to`). Neighbouring words with the same change are joined.
+const compare = (from, to) => {
+  const table = from.map(() => new Array(to.length + 1))
+  table.push(to.map((word, j) => to.length - j).concat(0))
+  for (let i = from.length - 1; i >= 0; i--) {
+    table[i][to.length] = from.length - i
+    for (let j = to.length - 1; j >= 0; j--) {
+      table[i][j] = from[i].key === to[j].key
+        ? table[i + 1][j + 1]
+        : 1 + Math.min(table[i + 1][j + 1], table[i + 1][j], table[i][j + 1])
+    }
+  }
+  const diff = []
+  const push = (text, change) => {
+    const last = diff[diff.length - 1]
+    if (last && last.change === change) last.text += text
+    else diff.push({ text, change })
+  }
+  let i = 0
+  let j = 0
+  while (i < from.length || j < to.length) {
+    if (i < from.length && j < to.length && from[i].key === to[j].key && table[i][j] === table[i + 1][j + 1]) {
+      push(from[i++].text, 'same')
+      j++
+    } else if (i < from.length && j < to.length && table[i][j] === 1 + table[i + 1][j + 1]) {
+      push(from[i++].text, 'removed')
+      push(to[j++].text, 'added')
+    } else if (i < from.length && table[i][j] === 1 + table[i + 1][j]) {
+      push(from[i++].text, 'removed')
+    } else {
+      push(to[j++].text, 'added')
+    }
+  }
+  return { distance: table[0][0], diff }
+}
+
+// The entries closest to the English `text`, best first, as
+// { chapter, index, en, translation, match, diff }. The diff goes from the
+// entry's English to `text`. `exclude` ({ chapter, index }) leaves out the
+// passage being translated.
+const suggest = (memory, text, exclude = {}) => {
+  const wanted = words(text)
+  if (!wanted.length) return []
+  return memory
+    .filter(entry => !(entry.chapter === exclude.chapter && entry.index === exclude.index))
+    .filter(entry => 100 * shared(entry.words, wanted) / Math.max(entry.words.length, wanted.length) >= MIN_MATCH)
+    .map(entry => {
+      const { distance, diff } = compare(entry.words, wanted)
+      const match = Math.floor(100 * (1 - distance / Math.max(entry.words.length, wanted.length)))
+      return { chapter: entry.chapter, index: entry.index, en: entry.en, translation: entry.translation, match, diff }
+    })
+    .filter(suggestion => suggestion.match >= MIN_MATCH)
+    .sort((a, b) => b.match - a.match)
+    .slice(0, LIMIT)
+}
+
+module.exports = { MIN_MATCH, buildMemory, suggest }
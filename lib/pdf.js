@@ -0,0 +1,261 @@
+/**
+ * Writes the book as a print-ready PDF in the original's 6×9 in trim, with
+ * bookmarks for chapters and items, linked item references and page numbers.
+ * It uses the PDF standard fonts, so no font files are needed.
+ */
+const fs = require('fs')
+const PDFDocument = require('pdfkit')
+const { FIGURE_LABELS, parseInline, stripInline, figureKey } = require('./inline')
+const { TITLE, AUTHOR, message, languages, versions, listing, figureFile, numberedFigures } = require('./book')
+const { ORIGINAL, DEFAULT_TRANSLATION, isBilingual } = require('./languages')
+
+const PAGE = [432, 648]
+const MARGIN = 54
+const GUTTER = 14
+const BODY_SIZE = 10
+const CODE_SIZE = 7.5
+
+const COLORS = { text: '#222222', translation: '#5b2a0f', heading: '#5a4a2c', link: '#1f4e79', muted: '#777777' }
+
+// The standard fonts only cover Windows-1252; anything else would print as
+// garbage, so it is replaced.
+const WIN_ANSI_EXTRAS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ'
+const printable = text => text.replace(/[^\x09\x0a\x20-\x7e\xa0-\xff]/g, char => (
+  WIN_ANSI_EXTRAS.includes(char) ? char : '?'
+))
+
+// Translations are set in italics in the bilingual modes, as on the site.
+const fonts = (lang, mode) => {
+  const italic = lang !== ORIGINAL && isBilingual(mode)
+  return {
+    regular: italic ? 'Times-Italic' : 'Times-Roman',
+    bold: italic ? 'Times-BoldItalic' : 'Times-Bold',
+    code: 'Courier',
+    color: italic ? COLORS.translation : COLORS.text
+  }
+}
+
+// The named destination of the item or figure a reference node points to,
+// if it is in the book.
+const destination = (node, context) => {
+  if (node.type === 'item' && context.items.has(node.number)) return `item-${node.number}`
+  if (node.type === 'figure' && context.figures.has(figureKey(node.kind, node.number))) return figureKey(node.kind, node.number)
+  return null
+}
+
+// Writes a string with inline markup, switching fonts run by run. Item and
+// figure references jump to their target.
+const rich = (doc, text, lang, context, position = {}) => {
+  const font = fonts(lang, context.mode)
+  const nodes = parseInline(text)
+  nodes.forEach((node, index) => {
+    const options = Object.assign({}, position.options, { continued: index < nodes.length - 1 })
+    const goTo = destination(node, context)
+    doc.font(node.type === 'code' ? font.code : node.type === 'strong' ? font.bold : font.regular)
+      .fillColor(goTo ? COLORS.link : font.color)
+    if (goTo) options.goTo = goTo
+    if (index === 0 && position.x !== undefined) doc.text(printable(node.value), position.x, position.y, options)
+    else doc.text(printable(node.value), options)
+  })
+  doc.fillColor(COLORS.text)
+}
+
+const keepOnPage = (doc, height) => {
+  if (doc.y + height > doc.page.height - MARGIN) doc.addPage()
+}
+
+const paragraphs = (doc, record, context, prefix = '') => {
+  const shown = versions(record, context.mode, context.translation).map(version => Object.assign({}, version, { text: prefix + version.text }))
+  const sequential = () => shown.forEach(version => {
+    rich(doc, version.text, version.lang, context, { options: { align: 'justify' } })
+    doc.moveDown(0.5)
+  })
+  doc.fontSize(BODY_SIZE)
+  if (context.mode !== 'side') return sequential()
+
+  // Two columns, English on the left, aligned paragraph by paragraph. Columns
+  // can't continue on the next page, so a paragraph too long for one page is
+  // printed as in the interleaved mode.
+  const width = (doc.page.width - 2 * MARGIN - GUTTER) / 2
+  const column = lang => shown.find(version => version.lang === lang)
+  const columns = [ORIGINAL, context.translation]
+  const heights = columns.map(lang => column(lang)
+    ? doc.font(fonts(lang, context.mode).regular).heightOfString(printable(stripInline(column(lang).text)), { width })
+    : 0)
+  if (Math.max(...heights) > doc.page.height - 2 * MARGIN) return sequential()
+  keepOnPage(doc, Math.max(...heights))
+  const top = doc.y
+  columns.forEach((lang, index) => {
+    if (!column(lang)) return
+    rich(doc, column(lang).text, lang, context, { x: MARGIN + index * (width + GUTTER), y: top, options: { width } })
+  })
+  doc.x = MARGIN
+  doc.y = top + Math.max(...heights)
+  doc.moveDown(0.5)
+}
+
+const title = (doc, record, context, size, prefix = '') => {
+  const [main, ...rest] = versions(record, context.mode, context.translation)
+  keepOnPage(doc, size * 4)
+  doc.font('Helvetica-Bold').fontSize(size).fillColor(COLORS.heading)
+    .text(printable(prefix + stripInline(main.text)), MARGIN, doc.y, { width: doc.page.width - 2 * MARGIN })
+  rest.forEach(version => {
+    doc.font('Helvetica-Oblique').fontSize(size * 0.7).fillColor(COLORS.translation).text(printable(stripInline(version.text)))
+  })
+  doc.fillColor(COLORS.text).moveDown(0.5)
+}
+
+const code = (doc, source) => {
+  doc.font('Courier').fontSize(CODE_SIZE)
+  const height = doc.heightOfString(source, { width: doc.page.width - 2 * MARGIN - 10 })
+  if (height < doc.page.height / 3) keepOnPage(doc, height)
+  doc.text(printable(source), MARGIN + 10, doc.y, { width: doc.page.width - 2 * MARGIN - 10, lineGap: 1 })
+  doc.x = MARGIN
+  doc.moveDown(0.8)
+}
+
+const caption = (doc, block, context) => {
+  doc.fontSize(BODY_SIZE - 1)
+  const labels = FIGURE_LABELS[block.kind] || FIGURE_LABELS.figure
+  versions(block.caption, context.mode, context.translation).forEach(version => {
+    const label = block.number ? `**${labels[version.lang]} ${block.number}** ` : ''
+    rich(doc, label + version.text, version.lang, context, { options: { align: 'center' } })
+  })
+}
+
+// A table's cells in columns of equal width, each with the versions of its
+// text one under the other, and a rule under the header row.
+const cells = (doc, rows, context) => {
+  const columns = Math.max(...rows.map(row => row.length))
+  const width = (doc.page.width - 2 * MARGIN - (columns - 1) * GUTTER / 2) / columns
+  doc.fontSize(BODY_SIZE - 1)
+  rows.forEach((row, index) => {
+    const shown = row.map(cell => versions(cell, context.mode, context.translation))
+    const height = Math.max(...shown.map(cellVersions => cellVersions.reduce((total, version) => total +
+      doc.font(fonts(version.lang, context.mode).regular).heightOfString(printable(stripInline(version.text)), { width }), 0)))
+    keepOnPage(doc, height)
+    const top = doc.y
+    shown.forEach((cellVersions, column) => {
+      let y = top
+      cellVersions.forEach(version => {
+        rich(doc, version.text, version.lang, context, { x: MARGIN + column * (width + GUTTER / 2), y, options: { width } })
+        y = doc.y
+      })
+    })
+    doc.x = MARGIN
+    doc.y = top + height + 2
+    if (index === 0) doc.moveTo(MARGIN, doc.y - 1).lineTo(doc.page.width - MARGIN, doc.y - 1).strokeColor(COLORS.muted).lineWidth(0.5).stroke()
+  })
+}
+
+const figure = (doc, block, context) => {
+  const file = block.src && figureFile(block.src)
+  if (block.number) doc.addNamedDestination(figureKey(block.kind, block.number))
+  if (block.rows) {
+    if (block.caption) caption(doc, block, context)
+    doc.moveDown(0.3)
+    cells(doc, block.rows, context)
+    doc.moveDown(0.8)
+    return
+  }
+  if (file) {
+    keepOnPage(doc, 200)
+    doc.image(file, MARGIN, doc.y, { fit: [doc.page.width - 2 * MARGIN, 200], align: 'center' })
+    doc.moveDown(0.5)
+  } else if (block.src) {
+    context.warnings.push(`missing figure ${block.src}`)
+  }
+  if (block.caption) {
+    caption(doc, block, context)
+    doc.moveDown(0.8)
+  }
+}
+
+const block = (doc, entry, context) => {
+  switch (entry.type) {
+    case 'heading': return title(doc, entry, context, entry.level === 1 ? 14 : 12)
+    case 'paragraph': return paragraphs(doc, entry, context)
+    case 'code': return code(doc, listing(entry, context.mode, context.translation))
+    case 'figure': return figure(doc, entry, context)
+    case 'list': return entry.items.forEach(item => paragraphs(doc, item, context, '• '))
+  }
+}
+
+const titlePage = (doc, context) => {
+  doc.font('Helvetica-Bold').fontSize(28).fillColor(COLORS.heading)
+    .text(TITLE, MARGIN, PAGE[1] / 3, { align: 'center' })
+  doc.moveDown()
+  doc.font('Times-Roman').fontSize(14).fillColor(COLORS.text).text(AUTHOR, { align: 'center' })
+  doc.moveDown(4)
+  doc.fontSize(10).fillColor(COLORS.muted).text(languages(context.mode, context.translation).join(' / '), { align: 'center' })
+  doc.fillColor(COLORS.text)
+}
+
+const pageNumbers = doc => {
+  const range = doc.bufferedPageRange()
+  // The title page goes unnumbered.
+  for (let page = range.start + 1; page < range.start + range.count; page++) {
+    doc.switchToPage(page)
+    const bottom = doc.page.margins.bottom
+    doc.page.margins.bottom = 0
+    doc.font('Times-Roman').fontSize(9).fillColor(COLORS.muted)
+      .text(String(page - range.start), MARGIN, doc.page.height - MARGIN / 2, { width: doc.page.width - 2 * MARGIN, align: 'center' })
+    doc.page.margins.bottom = bottom
+  }
+}
+
+// Writes the book in `mode` to `file`, pairing the English with `translation`
+// in the bilingual modes. Resolves to the warnings, e.g. about figures whose
+// image is missing.
+const writePdf = (book, mode, file, translation = DEFAULT_TRANSLATION) => new Promise((resolve, reject) => {
+  const items = new Set()
+  const figures = new Set()
+  book.forEach(chapter => {
+    chapter.items.forEach(item => items.add(item.number))
+    numberedFigures(chapter).forEach(block => figures.add(figureKey(block.kind, block.number)))
+  })
+  const context = { mode, translation, lang: languages(mode, translation)[0], items, figures, warnings: [] }
+
+  const doc = new PDFDocument({
+    size: PAGE,
+    margin: MARGIN,
+    bufferPages: true,
+    lang: context.lang,
+    info: { Title: TITLE, Author: AUTHOR }
+  })
+  const output = fs.createWriteStream(file)
+  output.on('finish', () => resolve(Array.from(new Set(context.warnings))))
+  output.on('error', reject)
+  doc.pipe(output)
+
+  titlePage(doc, context)
+  book.forEach(chapter => {
+    doc.addPage()
+    const bookmark = doc.outline.addItem(printable(stripInline(versions(chapter.title, mode, translation)[0].text)))
+    if (chapter.number) {
+      doc.font('Helvetica-Bold').fontSize(40).fillColor(COLORS.muted).text(String(chapter.number), { align: 'right' })
+    }
+    title(doc, chapter.title, context, 22)
+    doc.moveDown()
+    chapter.blocks.forEach(entry => block(doc, entry, context))
+    chapter.items.forEach(item => {
+      doc.moveDown()
+      keepOnPage(doc, 80)
+      doc.addNamedDestination(`item-${item.number}`)
+      const label = `${message(context.lang, 'item', { number: item.number })}: `
+      bookmark.addItem(printable(label + stripInline(versions(item.title, mode, translation)[0].text)))
+      title(doc, item.title, context, 15, label)
+      item.blocks.forEach(entry => block(doc, entry, context))
+      if (item.remember.length) {
+        doc.moveDown(0.5)
+        doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.heading).text(message(context.lang, 'remember'))
+        doc.fillColor(COLORS.text).moveDown(0.3)
+        item.remember.forEach(entry => paragraphs(doc, entry, context, '• '))
+      }
+    })
+  })
+  pageNumbers(doc)
+  doc.end()
+})
+
+module.exports = { writePdf }
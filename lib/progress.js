@@ -0,0 +1,75 @@
+/**
+ * Translation progress. Progress is counted over "records": every object in
+ * the content that carries English text to translate (titles, paragraphs,
+ * headings, list entries, figure captions, table cells and remember
+ * bullets). Listings are counted apart, by the comments in those that have
+ * no translated copy.
+ */
+const { tokenize } = require('./highlight')
+const { DEFAULT_TRANSLATION, TRANSLATIONS } = require('./languages')
+
+// The cells of a table, row by row.
+const tableCells = block => (block.rows || []).reduce((cells, row) => cells.concat(row), [])
+
+const blockRecords = blocks => blocks.reduce((records, block) => {
+  if (block.type === 'paragraph' || block.type === 'heading') return records.concat([block])
+  if (block.type === 'list') return records.concat(block.items)
+  if (block.type === 'figure') return records.concat(block.caption ? [block.caption] : [], tableCells(block))
+  return records
+}, [])
+
+// Every record of an item, in reading order.
+const itemRecords = item => [item.title].concat(blockRecords(item.blocks), item.remember)
+
+// Every record of a chapter, in reading order.
+const translatables = chapter => chapter.items.reduce(
+  (records, item) => records.concat(itemRecords(item)),
+  [chapter.title].concat(blockRecords(chapter.blocks))
+)
+
+const progress = (records, language = DEFAULT_TRANSLATION) => ({
+  translated: records.filter(record => record[language]).length,
+  reviewed: records.filter(record => record[language] && record.status && record.status[language] === 'reviewed').length,
+  total: records.length
+})
+
+// The comments of the listings among `blocks` that have no copy with their
+// comments translated.
+const untranslatedComments = (blocks, language = DEFAULT_TRANSLATION) => blocks
+  .filter(block => block.type === 'code' && !block[language])
+  .reduce((count, block) => count + tokenize(block.code).filter(token => token.type === 'comment').length, 0)
+
+// The translations a chapter is published in. "published" is a list of
+// language codes, or true for the Spanish, which was the only translation
+// when chapters were first published.
+const publishedIn = chapter => chapter.published === true ? [DEFAULT_TRANSLATION] : chapter.published || []
+
+// Progress of a chapter and of each of its items in one translation, for the
+// completeness report and the /progress page.
+const report = (chapter, language = DEFAULT_TRANSLATION) => Object.assign(
+  {
+    id: chapter.id,
+    number: chapter.number || null,
+    title: chapter.title,
+    published: publishedIn(chapter).includes(language)
+  },
+  progress(translatables(chapter), language),
+  {
+    comments: untranslatedComments(chapter.items.reduce((blocks, item) => blocks.concat(item.blocks), chapter.blocks), language),
+    items: chapter.items.map(item => Object.assign(
+      { number: item.number, title: item.title },
+      progress(itemRecords(item), language),
+      { comments: untranslatedComments(item.blocks, language) }
+    ))
+  }
+)
+
+// How much of a report entry is translated, as a whole percentage.
+const percent = entry => entry.total ? Math.floor(100 * entry.translated / entry.total) : 100
+
+// Progress in every translation, by language code.
+const progressByLanguage = records => TRANSLATIONS.reduce((all, language) => (
+  Object.assign(all, { [language]: progress(records, language) })
+), {})
+
+module.exports = { tableCells, blockRecords, itemRecords, translatables, progress, progressByLanguage, untranslatedComments, publishedIn, report, percent }
@@ -0,0 +1,123 @@
+/**
+ * Full-text search over the book. The index is built from the content by
+ * scripts/build-search-index.js and written to public/, so the search box can
+ * load it once and search without a server:
+ *
+ *   {
+ *     "labels": [ { "kind", "number", "title" } ],     // chapters and items
+ *     "docs": [ { "path", "label", "lang", "text" } ],  // one per paragraph,
+ *                                                      // listing or title
+ *     "terms": { "valueof": [ doc, count, doc, count, ... ] }
+ *   }
+ *
+ * A doc's label is the position in "labels" of the chapter or item it is in,
+ * which the search box names in the reader's locale, as links are named in
+ * getNavigation() (lib/content.js): "kind" is "chapter" or "item", "number"
+ * is null for front matter and "title" has the title in every language.
+ *
+ * Terms are lowercased and stripped of accents, so "coercion" finds
+ * "coerción" and "valueOf" finds valueOf.
+ */
+const { stripInline } = require('./inline')
+const { tableCells } = require('./progress')
+
+const TERM = /[\p{L}\p{N}_$]+/gu
+
+const fold = text => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+
+const tokenize = text => fold(text).match(TERM) || []
+
+// Titles rank above passages that merely mention the same words.
+const BOOST = { title: 3, text: 1, code: 1 }
+
+const languagesOf = record => Object.keys(record)
+  .filter(lang => lang !== 'id' && /^[a-z]{2}$/.test(lang) && typeof record[lang] === 'string')
+
+const documents = book => {
+  const labels = []
+  const docs = []
+  const label = (kind, number, title) => labels.push({
+    kind,
+    number,
+    title: languagesOf(title).reduce((all, lang) => Object.assign(all, { [lang]: stripInline(title[lang]) }), {})
+  }) - 1
+  const add = (path, label, kind, record) => languagesOf(record)
+    .forEach(lang => docs.push({ path, label, kind, lang, text: stripInline(record[lang]) }))
+  const addBlocks = (blocks, path, label) => blocks.forEach(block => {
+    const anchor = `${path}#${block.id}`
+    if (block.type === 'code') docs.push({ path: anchor, label, kind: 'code', lang: 'code', text: block.code })
+    if (block.type === 'paragraph' || block.type === 'heading') add(anchor, label, 'text', block)
+    if (block.type === 'figure' && block.caption) add(anchor, label, 'text', block.caption)
+    if (block.type === 'figure') tableCells(block).forEach(cell => add(anchor, label, 'text', cell))
+    if (block.type === 'list') block.items.forEach(entry => add(anchor, label, 'text', entry))
+  })
+
+  book.forEach(chapter => {
+    const chapterLabel = label('chapter', chapter.number || null, chapter.title)
+    add(chapter.path, chapterLabel, 'title', chapter.title)
+    addBlocks(chapter.blocks, chapter.path, chapterLabel)
+    chapter.items.forEach(item => {
+      const itemLabel = label('item', item.number, item.title)
+      const anchor = `${chapter.path}#${item.id}`
+      add(anchor, itemLabel, 'title', item.title)
+      addBlocks(item.blocks, chapter.path, itemLabel)
+      item.remember.forEach(entry => add(anchor, itemLabel, 'text', entry))
+    })
+  })
+  return { labels, docs }
+}
+
+const buildIndex = book => {
+  const { labels, docs } = documents(book)
+  const terms = Object.create(null)
+  docs.forEach((doc, index) => {
+    const counts = {}
+    tokenize(doc.text).forEach(term => { counts[term] = (counts[term] || 0) + 1 })
+    Object.keys(counts).forEach(term => {
+      const postings = terms[term] || (terms[term] = [])
+      postings.push(index, counts[term] * BOOST[doc.kind])
+    })
+    delete doc.kind
+  })
+  return { labels, docs, terms }
+}
+
+// The terms of the index a query word stands for: itself, or, for the word
+// being typed (the last one), every term it starts.
+const expand = (index, word, isLast) => isLast && word.length > 1
+  ? Object.keys(index.terms).filter(term => term.startsWith(word))
+  : Object.prototype.hasOwnProperty.call(index.terms, word) ? [word] : []
+
+// Documents containing every word of the query, best first, as
+// [{doc, score}]. Scores are term counts weighted by how rare the term is.
+const search = (index, query, limit = 20) => {
+  const words = tokenize(query)
+  if (!words.length) return []
+  const total = index.docs.length
+  let scores = null
+  words.forEach((word, position) => {
+    const wordScores = new Map()
+    expand(index, word, position === words.length - 1).forEach(term => {
+      const postings = index.terms[term]
+      const idf = Math.log(1 + total / (postings.length / 2))
+      for (let i = 0; i < postings.length; i += 2) {
+        wordScores.set(postings[i], (wordScores.get(postings[i]) || 0) + postings[i + 1] * idf)
+      }
+    })
+    if (scores === null) {
+      scores = wordScores
+    } else {
+      const both = new Map()
+      scores.forEach((score, doc) => {
+        if (wordScores.has(doc)) both.set(doc, score + wordScores.get(doc))
+      })
+      scores = both
+    }
+  })
+  return Array.from(scores)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([doc, score]) => ({ doc: index.docs[doc], score }))
+}
+
+module.exports = { fold, tokenize, buildIndex, search }
@@ -0,0 +1,76 @@
+/**
+ * Reading and writing translations for the /translate workbench. Records are
+ * addressed by their position in translatables() order, so the chapter file
+ * is always read fresh from disk and never through lib/content.js, whose copy
+ * is only as new as the last build.
+ */
+const fs = require('fs')
+const path = require('path')
+const chapters = require('../content')
+const { blockRecords, itemRecords } = require('./progress')
+const { DEFAULT_TRANSLATION, TRANSLATIONS } = require('./languages')
+
+const CONTENT = path.join(process.cwd(), 'content')
+const STATUSES = ['draft', 'reviewed']
+
+const chapterFile = id => {
+  if (!chapters.some(chapter => chapter.id === id)) throw new Error(`Unknown chapter "${id}"`)
+  return path.join(CONTENT, `${id}.json`)
+}
+
+// The translation a request is for, Spanish unless it names another.
+const translationLanguage = language => {
+  if (!language) return DEFAULT_TRANSLATION
+  if (!TRANSLATIONS.includes(language)) throw new Error(`Unknown language "${language}"`)
+  return language
+}
+
+const readChapter = id => JSON.parse(fs.readFileSync(chapterFile(id), 'utf8'))
+
+const writeChapter = chapter => fs.writeFileSync(chapterFile(chapter.id), JSON.stringify(chapter, null, 2) + '\n')
+
+// The chapter's records grouped the way a translator reads them, in the same
+// order as translatables(): the introduction (item null), then each item.
+const sections = chapter => [{ item: null, records: [chapter.title].concat(blockRecords(chapter.blocks)) }]
+  .concat(chapter.items.map(item => ({ item: item.number, records: itemRecords(item) })))
+
+// What the workbench shows: every record with its index, the number of its
+// item (null in the introduction), English text and current translation and
+// status in `language`.
+const listRecords = (chapter, language = DEFAULT_TRANSLATION) => {
+  let index = 0
+  return sections(chapter).reduce((list, section) => list.concat(section.records.map(record => ({
+    index: index++,
+    item: section.item,
+    type: record.type || 'text',
+    en: record.en,
+    translation: record[language] || '',
+    status: (record.status && record.status[language]) || null
+  }))), [])
+}
+
+// Applies [{index, translation, status}] in `language` to a chapter. An
+// empty translation removes the record's translation and status in it,
+// leaving the other languages alone.
+const applyTranslations = (chapter, updates, language = DEFAULT_TRANSLATION) => {
+  const records = sections(chapter).reduce((all, section) => all.concat(section.records), [])
+  updates.forEach(update => {
+    const record = records[update.index]
+    if (!record) throw new Error(`No record ${update.index} in ${chapter.id}`)
+    if (update.status && !STATUSES.includes(update.status)) throw new Error(`Unknown status "${update.status}"`)
+    const translation = (update.translation || '').trim()
+    const status = Object.assign({}, record.status)
+    if (translation) {
+      record[language] = translation
+      status[language] = update.status || 'draft'
+    } else {
+      delete record[language]
+      delete status[language]
+    }
+    if (Object.keys(status).length) record.status = status
+    else delete record.status
+  })
+  return chapter
+}
+
+module.exports = { STATUSES, translationLanguage, readChapter, writeChapter, listRecords, applyTranslations }
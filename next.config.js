@@ -0,0 +1,12 @@
+// Pages are written as directories with an index.html (see `npm run export`),
+// so every URL ends in a slash. Set BASE_PATH when the book is served from a
+// subdirectory, e.g. BASE_PATH=/book npm run export.
+module.exports = {
+  trailingSlash: true,
+  basePath: process.env.BASE_PATH || '',
+  env: {
+    // The chapter numbers, for the nav in components/layout.js, which would
+    // otherwise bundle the whole book to list them.
+    CHAPTERS: require('./content').filter(chapter => chapter.number).map(chapter => chapter.number).join(',')
+  }
+}
@@ -0,0 +1,15 @@
+import Layout from '../../components/layout'
+import { localePaths, useMessages } from '../../components/locale'
+
+export default () => {
+  const t = useMessages()
+  return (
+    <Layout title={t('about.title')}>
+      <div>{t('about.body')}</div>
+    </Layout>
+  )
+}
+
+export const getStaticPaths = () => ({ paths: localePaths(), fallback: false })
+
+export const getStaticProps = () => ({ props: {} })
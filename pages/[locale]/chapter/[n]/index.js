@@ -0,0 +1,21 @@
+import Chapter from '../../../../components/chapter'
+import { localePaths } from '../../../../components/locale'
+import { book, getChapterByNumber, getNavigation, getReferences } from '../../../../lib/content'
+
+export default Chapter
+
+export const getStaticPaths = () => ({
+  paths: localePaths(book.filter(chapter => chapter.number).map(chapter => ({ params: { n: String(chapter.number) } }))),
+  fallback: false
+})
+
+export const getStaticProps = ({ params }) => {
+  const chapter = getChapterByNumber(params.n)
+  return {
+    props: {
+      chapter,
+      references: getReferences(chapter, `Chapter ${chapter.number}`),
+      navigation: getNavigation(chapter)
+    }
+  }
+}
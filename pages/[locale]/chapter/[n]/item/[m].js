@@ -0,0 +1,27 @@
+import Chapter from '../../../../../components/chapter'
+import { localePaths } from '../../../../../components/locale'
+import { book, getChapterByNumber, getNavigation, getReferences } from '../../../../../lib/content'
+
+export default Chapter
+
+export const getStaticPaths = () => ({
+  paths: localePaths(book.filter(chapter => chapter.number).reduce((paths, chapter) => paths.concat(
+    chapter.items.map(item => ({ params: { n: String(chapter.number), m: String(item.number) } }))
+  ), [])),
+  fallback: false
+})
+
+// Only the chapter's heading travels with the item, not the whole chapter.
+export const getStaticProps = ({ params }) => {
+  const chapter = getChapterByNumber(params.n)
+  const { id, number, title, path } = chapter
+  const item = chapter.items.find(entry => entry.number === Number(params.m))
+  return {
+    props: {
+      chapter: { id, number, title, path },
+      item,
+      references: getReferences(item, `Item ${item.number}`),
+      navigation: getNavigation(chapter, item)
+    }
+  }
+}
@@ -0,0 +1,57 @@
+import { useState } from 'react'
+import Layout from '../../components/layout'
+import Remember from '../../components/remember'
+import { Title } from '../../components/language'
+import { LocaleLink, localePaths, useMessages } from '../../components/locale'
+import { getCheatsheet } from '../../lib/content'
+
+// Every item's takeaways on one page, for review or for printing. The
+// chapter filter and the print button are left out of the printout.
+export default ({ chapters }) => {
+  const t = useMessages()
+  const [number, setNumber] = useState('')
+  const shown = chapters.filter(chapter => !number || chapter.number === Number(number))
+  return (
+    <Layout title={t('cheatsheet.title')}>
+      <h1>{t('remember')}</h1>
+      <p className='cheatsheet-controls'>
+        <label>
+          {t('cheatsheet.chapter')}{' '}
+          <select value={number} onChange={event => setNumber(event.target.value)}>
+            <option value=''>{t('cheatsheet.all')}</option>
+            {chapters.map(chapter => <option key={chapter.number} value={chapter.number}>{chapter.number}</option>)}
+          </select>
+        </label>{' '}
+        <button type='button' onClick={() => window.print()}>{t('cheatsheet.print')}</button>
+      </p>
+      {shown.map(chapter => (
+        <section key={chapter.id}>
+          <h2>
+            <LocaleLink path={chapter.path}><a>{t('chapter', { number: chapter.number })}: <Title title={chapter.title} /></a></LocaleLink>
+          </h2>
+          {chapter.items.map(item => (
+            <div key={item.number} className='item'>
+              <h3><LocaleLink path={item.path}><a>{t('item', { number: item.number })}: <Title title={item.title} /></a></LocaleLink></h3>
+              <Remember remember={item.remember} />
+            </div>
+          ))}
+        </section>
+      ))}
+      <style jsx>{`
+        h3 { margin-bottom: 0; }
+        .item { break-inside: avoid; }
+      `}</style>
+      <style jsx global>{`
+        @media print {
+          header, footer, .cheatsheet-controls { display: none; }
+          a { color: inherit; text-decoration: none; }
+          .remember { margin: 0.5em 0; }
+        }
+      `}</style>
+    </Layout>
+  )
+}
+
+export const getStaticPaths = () => ({ paths: localePaths(), fallback: false })
+
+export const getStaticProps = () => ({ props: { chapters: getCheatsheet() } })
@@ -0,0 +1,82 @@
+import Layout from '../../components/layout'
+import { Title, useMode } from '../../components/language'
+import { LocaleLink, localePaths, useMessages } from '../../components/locale'
+import { PassageLink, useBookmarks, useReadingPositions } from '../../components/reading'
+import { getContents } from '../../lib/content'
+
+// Progress of the reader's translation; `progress` has one entry per language.
+const Progress = ({ progress }) => {
+  const t = useMessages()
+  const counts = progress[useMode().translation]
+  return (
+    <span className='progress' title={t('contents.progress', counts)}>
+      {counts.total ? Math.round(100 * counts.translated / counts.total) : 100}%
+    </span>
+  )
+}
+
+// Where the reader left off, and their bookmarks. Both live in the browser,
+// so they appear once the page has mounted.
+const Reading = () => {
+  const t = useMessages()
+  const [last] = useReadingPositions()
+  const [bookmarks, , remove] = useBookmarks()
+  if (!last && !bookmarks.length) return null
+  return (
+    <section className='reading'>
+      {last && <p>{t('contents.continue')} <PassageLink path={last.path} id={last.id}>{last.title}</PassageLink></p>}
+      {bookmarks.length > 0 && <h2>{t('contents.bookmarks')}</h2>}
+      <ul>
+        {bookmarks.map(bookmark => (
+          <li key={`${bookmark.path}#${bookmark.id}`}>
+            <PassageLink path={bookmark.path} id={bookmark.id}>{bookmark.title}</PassageLink>
+            {bookmark.note && <span className='note-text'> — {bookmark.note}</span>}
+            <button type='button' title={t('bookmark.remove')} onClick={() => remove(bookmark)}>×</button>
+          </li>
+        ))}
+      </ul>
+      <style jsx>{`
+        .reading { margin: 1em 0; padding: 0.5em 1em; background: var(--tint); }
+        h2 { font-size: 1.2em; }
+        .note-text { color: var(--muted); font-style: italic; }
+        button { margin-left: 0.5em; border: none; background: none; color: var(--muted); cursor: pointer; }
+      `}</style>
+    </section>
+  )
+}
+
+export default ({ contents }) => {
+  const t = useMessages()
+  return (
+    <Layout>
+      <h1>{t('nav.contents')}</h1>
+      <Reading />
+      <ul className='contents'>
+        {contents.map(chapter => (
+          <li key={chapter.id}>
+            <LocaleLink path={chapter.path}>
+              <a>{chapter.number && `${t('chapter', { number: chapter.number })}: `}<Title title={chapter.title} /></a>
+            </LocaleLink> <Progress progress={chapter.progress} />
+            {chapter.items.length > 0 && (
+              <ul>
+                {chapter.items.map(item => (
+                  <li key={item.number}>
+                    <LocaleLink path={item.path}><a>{t('item', { number: item.number })}: <Title title={item.title} /></a></LocaleLink> <Progress progress={item.progress} />
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+      <style jsx>{`
+        .contents li { margin: 0.3em 0; }
+        .progress { color: var(--en); font-size: 0.8em; }
+      `}</style>
+    </Layout>
+  )
+}
+
+export const getStaticPaths = () => ({ paths: localePaths(), fallback: false })
+
+export const getStaticProps = () => ({ props: { contents: getContents() } })
@@ -0,0 +1,12 @@
+import Chapter from '../../components/chapter'
+import { localePaths } from '../../components/locale'
+import { getChapter, getNavigation, getReferences } from '../../lib/content'
+
+export default Chapter
+
+export const getStaticPaths = () => ({ paths: localePaths(), fallback: false })
+
+export const getStaticProps = () => {
+  const chapter = getChapter('preface')
+  return { props: { chapter, references: getReferences(chapter, 'The Preface'), navigation: getNavigation(chapter) } }
+}
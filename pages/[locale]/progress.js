@@ -0,0 +1,92 @@
+import { useState } from 'react'
+import Layout from '../../components/layout'
+import Text from '../../components/text'
+import { useMode } from '../../components/language'
+import { LocaleLink, localePaths, useLocale, useMessages } from '../../components/locale'
+import { book } from '../../lib/content'
+import { report, percent } from '../../lib/progress'
+import { NAMES, TRANSLATIONS, pick } from '../../lib/languages'
+
+const Cells = ({ entry }) => [
+  <td key='translated'>{entry.translated}/{entry.total}</td>,
+  <td key='reviewed'>{entry.reviewed}</td>,
+  <td key='comments'>{entry.comments}</td>,
+  <td key='bar'><span className='progress-bar'><span style={{ width: `${percent(entry)}%` }} /></span> {percent(entry)}%</td>
+]
+
+const Reports = ({ reports }) => {
+  const t = useMessages()
+  const locale = useLocale()
+  const { translation } = useMode()
+  const [chosen, setChosen] = useState(null)
+  const language = chosen || translation
+  return (
+    <div>
+      <label>
+        {t('progress.language')}{' '}
+        <select value={language} onChange={event => setChosen(event.target.value)}>
+          {TRANSLATIONS.map(code => <option key={code} value={code} lang={code}>{NAMES[code]}</option>)}
+        </select>
+      </label>
+      <table>
+        <thead>
+          <tr><th /><th>{t('progress.translated')}</th><th>{t('progress.reviewed')}</th><th>{t('progress.comments')}</th><th /></tr>
+        </thead>
+        {reports[language].map(chapter => (
+          <tbody key={chapter.id}>
+            <tr className='chapter'>
+              <th>
+                {chapter.number && `${chapter.number}. `}<Text>{pick(chapter.title, locale)}</Text>
+                {chapter.published && <span className='published'>{t('progress.published')}</span>}
+              </th>
+              <Cells entry={chapter} />
+            </tr>
+            {chapter.items.map(item => (
+              <tr key={item.number}>
+                <td>
+                  <LocaleLink path={`/chapter/${chapter.number}/item/${item.number}`}>
+                    <a>{t('item', { number: item.number })}: <Text>{pick(item.title, locale)}</Text></a>
+                  </LocaleLink>
+                </td>
+                <Cells entry={item} />
+              </tr>
+            ))}
+          </tbody>
+        ))}
+      </table>
+      <style jsx>{`
+        label { display: block; margin-bottom: 1em; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { padding: 0.2em 0.5em; text-align: left; }
+        .chapter th { padding-top: 1em; color: var(--heading); }
+        .published { margin-left: 0.5em; padding: 0 0.3em; font-size: 12px; color: var(--surface); background: var(--en); }
+      `}</style>
+      <style jsx global>{`
+        .progress-bar { display: inline-block; width: 100px; height: 8px; background: var(--rule); }
+        .progress-bar span { display: block; height: 100%; background: var(--en); }
+      `}</style>
+    </div>
+  )
+}
+
+// Translation completeness per chapter and item in each language, showing the
+// reader's translation first; `npm run progress` prints the same numbers.
+export default ({ reports }) => {
+  const t = useMessages()
+  return (
+    <Layout title={t('progress.title')}>
+      <h1>{t('progress.title')}</h1>
+      <Reports reports={reports} />
+    </Layout>
+  )
+}
+
+export const getStaticPaths = () => ({ paths: localePaths(), fallback: false })
+
+export const getStaticProps = () => ({
+  props: {
+    reports: TRANSLATIONS.reduce((all, language) => Object.assign(all, {
+      [language]: book.map(chapter => report(chapter, language))
+    }), {})
+  }
+})
@@ -0,0 +1,226 @@
+import { useEffect, useState } from 'react'
+import Layout from '../../components/layout'
+import Text from '../../components/text'
+import { localePaths, useLocale, useMessages } from '../../components/locale'
+import { stripInline } from '../../lib/inline'
+import { NAMES, TRANSLATIONS, DEFAULT_TRANSLATION, pick } from '../../lib/languages'
+
+const FILTERS = {
+  all: () => true,
+  untranslated: record => !record.translation,
+  draft: record => record.translation && record.status !== 'reviewed'
+}
+
+const api = (query, options) => fetch(`/api/translate${query}`, options).then(res => res.json().then(body => {
+  if (!res.ok) throw new Error(body.error)
+  return body
+}))
+
+// A translation memory suggestion: how close it is, what differs between its
+// English and the passage's, and a button to start from its translation.
+const Suggestion = ({ suggestion, language, onUse }) => {
+  const t = useMessages()
+  return (
+    <li>
+      <span className='match'>{suggestion.match}%</span>
+      <span className='where'>{suggestion.chapter}</span>
+      <p className='diff'>
+        {suggestion.diff.map((part, i) => part.change === 'same' ? part.text
+          : part.change === 'added' ? <ins key={i}>{part.text}</ins>
+            : <del key={i}>{part.text}</del>)}
+      </p>
+      <p lang={language}><Text>{suggestion.translation}</Text></p>
+      <button type='button' onClick={onUse}>{t('translate.use')}</button>
+      <style jsx>{`
+        li { margin: 0.3em 0; padding: 0.3em; background: var(--tint); }
+        .match { font-weight: bold; color: var(--heading); }
+        .where { margin-left: 0.5em; color: var(--muted); font-size: 12px; }
+        p { margin: 0.2em 0; }
+        ins { text-decoration: none; background: var(--dirty); }
+        del { color: var(--muted); }
+      `}</style>
+    </li>
+  )
+}
+
+const Row = ({ record, language, suggestions, onOpen, onChange }) => {
+  const t = useMessages()
+  return (
+    <div className={`row ${record.dirty ? 'dirty' : ''}`}>
+      <div className='source'>
+        <span className='where'>
+          {record.item ? t('item', { number: record.item }) : t('translate.introduction')} · {t(`translate.type.${record.type}`)}
+        </span>
+        <Text>{record.en}</Text>
+      </div>
+      <div className='target'>
+        <textarea
+          lang={language}
+          rows={Math.max(2, Math.ceil(record.en.length / 70))}
+          value={record.translation}
+          onFocus={onOpen}
+          onChange={event => onChange({ translation: event.target.value, status: 'draft' })}
+        />
+        <label>
+          <input
+            type='checkbox'
+            checked={record.status === 'reviewed'}
+            disabled={!record.translation}
+            onChange={event => onChange({ status: event.target.checked ? 'reviewed' : 'draft' })}
+          /> {t('translate.reviewed')}
+        </label>
+        {suggestions && suggestions.length > 0 && !record.translation && (
+          <ul>
+            {suggestions.map(suggestion => (
+              <Suggestion
+                key={`${suggestion.chapter}-${suggestion.index}`}
+                suggestion={suggestion}
+                language={language}
+                onUse={() => onChange({ translation: suggestion.translation, status: 'draft' })}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+      <style jsx>{`
+        .row { display: grid; grid-template-columns: 1fr 1fr; grid-column-gap: 1em; padding: 0.5em; border-bottom: 1px solid var(--rule); }
+        .dirty { background: var(--dirty); }
+        .where { display: block; color: var(--heading); font-size: 12px; }
+        textarea { width: 100%; box-sizing: border-box; font: inherit; }
+        ul { margin: 0.3em 0; padding: 0; list-style: none; }
+      `}</style>
+    </div>
+  )
+}
+
+// The translation workbench, replacing the old traducir.html staging file. It
+// talks to pages/api/translate.js and so only works under `next dev`.
+// Focusing an untranslated passage asks the translation memory (lib/memory.js)
+// for the closest passages translated so far.
+export default () => {
+  const t = useMessages()
+  const locale = useLocale()
+  const [chapters, setChapters] = useState([])
+  const [chapter, setChapter] = useState(null)
+  const [language, setLanguage] = useState(DEFAULT_TRANSLATION)
+  const [records, setRecords] = useState([])
+  const [suggestions, setSuggestions] = useState({})
+  const [filter, setFilter] = useState('all')
+  const [message, setMessage] = useState('')
+
+  const dirty = records.filter(record => record.dirty)
+
+  useEffect(() => {
+    api('').then(body => setChapters(body.chapters)).catch(error => setMessage(error.message))
+  }, [])
+
+  const open = (id, lang) => {
+    if (dirty.length && !window.confirm(t('translate.discard', { count: dirty.length }))) return
+    setChapter(id)
+    setLanguage(lang)
+    setRecords([])
+    setSuggestions({})
+    if (!id) return
+    setMessage(t('translate.loading'))
+    api(`?chapter=${id}&language=${lang}`)
+      .then(body => {
+        setRecords(body.records)
+        setMessage('')
+      })
+      .catch(error => setMessage(error.message))
+  }
+
+  // Suggestions are kept by chapter, language and passage, and a lookup is
+  // pending while its entry is an empty list. Opening another chapter or
+  // language, or saving, clears them, so a response that comes back after
+  // that finds no pending entry and is dropped.
+  const suggestionKey = index => `${chapter}/${language}/${index}`
+
+  const lookUp = record => {
+    const key = suggestionKey(record.index)
+    if (record.translation || suggestions[key]) return
+    setSuggestions(Object.assign({}, suggestions, { [key]: [] }))
+    api(`?chapter=${chapter}&language=${language}&index=${record.index}`)
+      .then(body => setSuggestions(found => (
+        key in found ? Object.assign({}, found, { [key]: body.suggestions }) : found
+      )))
+      .catch(error => {
+        // Forget the lookup, so that focusing the passage again retries it.
+        setSuggestions(found => {
+          const rest = Object.assign({}, found)
+          delete rest[key]
+          return rest
+        })
+        setMessage(error.message)
+      })
+  }
+
+  const change = (index, changes) => setRecords(records.map(record => (
+    record.index === index ? Object.assign({}, record, changes, { dirty: true }) : record
+  )))
+
+  const save = () => {
+    setMessage(t('translate.saving'))
+    api('', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        chapter,
+        language,
+        updates: dirty.map(record => ({ index: record.index, translation: record.translation, status: record.status }))
+      })
+    })
+      .then(body => {
+        setRecords(body.records)
+        setSuggestions({})
+        setMessage(t(dirty.length === 1 ? 'translate.saved.one' : 'translate.saved', { count: dirty.length }))
+      })
+      .catch(error => setMessage(error.message))
+  }
+
+  const translated = records.filter(record => record.translation).length
+  const reviewed = records.filter(record => record.status === 'reviewed').length
+
+  return (
+    <Layout title={t('translate.title')}>
+      <div className='toolbar'>
+        <select value={chapter || ''} onChange={event => open(event.target.value, language)}>
+          <option value=''>{t('translate.chapter')}</option>
+          {chapters.map(entry => (
+            <option key={entry.id} value={entry.id}>
+              {entry.number ? `${entry.number}. ` : ''}{stripInline(pick(entry.title, locale))}
+            </option>
+          ))}
+        </select>
+        <select aria-label={t('translate.language')} value={language} onChange={event => open(chapter, event.target.value)}>
+          {TRANSLATIONS.map(code => <option key={code} value={code}>{NAMES[code]}</option>)}
+        </select>
+        <select value={filter} onChange={event => setFilter(event.target.value)}>
+          {Object.keys(FILTERS).map(key => <option key={key} value={key}>{t(`translate.filter.${key}`)}</option>)}
+        </select>
+        <button type='button' disabled={!dirty.length} onClick={save}>{t('translate.save')}</button>
+        {records.length > 0 && <span>{t('translate.counts', { translated, total: records.length, reviewed })}</span>}
+        <span className='message'>{message}</span>
+      </div>
+      {records.filter(FILTERS[filter]).map(record => (
+        <Row
+          key={record.index}
+          record={record}
+          language={language}
+          suggestions={suggestions[suggestionKey(record.index)]}
+          onOpen={() => lookUp(record)}
+          onChange={changes => change(record.index, changes)}
+        />
+      ))}
+      <style jsx>{`
+        .toolbar { position: sticky; top: 0; z-index: 1; display: flex; align-items: center; padding: 0.5em; background: var(--page); }
+        .toolbar > * { margin-right: 1em; }
+        .message { color: var(--heading); }
+      `}</style>
+    </Layout>
+  )
+}
+
+export const getStaticPaths = () => ({ paths: localePaths(), fallback: false })
+
+export const getStaticProps = () => ({ props: {} })
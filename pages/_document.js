@@ -0,0 +1,20 @@
+import Document, { Html, Head, Main, NextScript } from 'next/document'
+import { DEFAULT_LOCALE, LOCALES } from '../components/locale'
+
+// Marks up the exported HTML in the page's locale, which useDocumentLocale()
+// (components/locale.js) keeps up to date in the browser. Next only hands the
+// page's data to a class document.
+export default class extends Document {
+  render () {
+    const { locale } = this.props.__NEXT_DATA__.query
+    return (
+      <Html lang={LOCALES.includes(locale) ? locale : DEFAULT_LOCALE}>
+        <Head />
+        <body>
+          <Main />
+          <NextScript />
+        </body>
+      </Html>
+    )
+  }
+}
@@ -1,7 +0,0 @@
-import Layout from '../components/layout'
-
-export default () => (
-  <Layout title='About us'>
-    <div>About us</div>
-  </Layout>
-)
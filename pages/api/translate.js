@@ -0,0 +1,42 @@
+import chapters from '../../content'
+import { translationLanguage, readChapter, writeChapter, listRecords, applyTranslations } from '../../lib/workbench'
+import { buildMemory, suggest } from '../../lib/memory'
+
+// Backs the /translate workbench. It writes into content/, so it only answers
+// under `next dev`, on the translator's own machine. Records are read and
+// written in the `language` given in the query or the body, Spanish if none.
+// With an `index` too, a GET answers the translation memory's suggestions for
+// that record, from every chapter as it is on disk now.
+export default (req, res) => {
+  if (process.env.NODE_ENV !== 'development') {
+    return res.status(404).json({ error: 'The translation workbench only runs under next dev' })
+  }
+  try {
+    if (req.method === 'GET' && !req.query.chapter) {
+      return res.json({ chapters: chapters.map(chapter => ({ id: chapter.id, number: chapter.number || null, title: chapter.title })) })
+    }
+    if (req.method === 'GET' && req.query.index) {
+      const language = translationLanguage(req.query.language)
+      const chapter = readChapter(req.query.chapter)
+      const record = listRecords(chapter, language)[Number(req.query.index)]
+      if (!record) throw new Error(`No record ${req.query.index} in ${chapter.id}`)
+      const memory = buildMemory(chapters.map(entry => readChapter(entry.id)), language)
+      return res.json({ index: record.index, language, suggestions: suggest(memory, record.en, { chapter: chapter.id, index: record.index }) })
+    }
+    if (req.method === 'GET') {
+      const language = translationLanguage(req.query.language)
+      const chapter = readChapter(req.query.chapter)
+      return res.json({ id: chapter.id, title: chapter.title, language, records: listRecords(chapter, language) })
+    }
+    if (req.method === 'POST') {
+      const language = translationLanguage(req.body.language)
+      const chapter = applyTranslations(readChapter(req.body.chapter), req.body.updates || [], language)
+      writeChapter(chapter)
+      return res.json({ id: chapter.id, language, records: listRecords(chapter, language) })
+    }
+    res.setHeader('Allow', 'GET, POST')
+    return res.status(405).json({ error: `Method ${req.method} not allowed` })
+  } catch (error) {
+    return res.status(400).json({ error: error.message })
+  }
+}
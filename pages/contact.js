@@ -1,7 +0,0 @@
-import Layout from '../components/layout'
-
-export default () => (
-  <Layout title='Contact us'>
-    <div>Contact</div>
-  </Layout>
-)
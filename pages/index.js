@@ -1,7 +1,33 @@
-import Layout from '../components/layout'
-
-export default () => (
-  <Layout>
-    <div>Hello World.</div>
-  </Layout>
-)
+import { useEffect } from 'react'
+import Head from 'next/head'
+import Link from 'next/link'
+import { useRouter } from 'next/router'
+import { LOCALES, preferredLocale, translate } from '../components/locale'
+
+// Every page lives under its locale; the root only sends the reader on. The
+// links are for readers without scripts, such as those of the offline export.
+export default () => {
+  const router = useRouter()
+  useEffect(() => {
+    router.replace('/[locale]', `/${preferredLocale()}`)
+  }, [])
+  return (
+    <div className='locales'>
+      <Head>
+        <title>{translate('en', 'site.title')}</title>
+        <meta name='viewport' content='initial-scale=1.0, width=device-width' />
+      </Head>
+      <h1>{translate('en', 'site.title')}</h1>
+      <ul>
+        {LOCALES.map(locale => (
+          <li key={locale}>
+            <Link href='/[locale]' as={`/${locale}`}><a lang={locale} hrefLang={locale}>{translate(locale, 'locale.name')}</a></Link>
+          </li>
+        ))}
+      </ul>
+      <style jsx>{`
+        .locales { margin: 3em auto; max-width: 20em; font-family: Verdana, sans-serif; }
+      `}</style>
+    </div>
+  )
+}
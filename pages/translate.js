@@ -0,0 +1,14 @@
+import { useEffect } from 'react'
+import Link from 'next/link'
+import { useRouter } from 'next/router'
+import { preferredLocale } from '../components/locale'
+
+// The workbench moved under its locale with the rest of the site; this keeps
+// the old address working.
+export default () => {
+  const router = useRouter()
+  useEffect(() => {
+    router.replace('/[locale]/translate', `/${preferredLocale()}/translate`)
+  }, [])
+  return <Link href='/[locale]/translate' as='/en/translate'><a>/en/translate</a></Link>
+}
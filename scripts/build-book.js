@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Assembles the Preface and every chapter into e-books in dist/:
+ *
+ *   npm run book -- [--format epub,pdf] [--mode interleaved,side,en,es] [--translation pt]
+ *
+ * One EPUB 3 and one PDF per language mode by default, named after the mode,
+ * e.g. dist/effective-javascript-es.epub. The translation (Spanish unless
+ * given) is the one the bilingual modes pair with the English, and the one
+ * the default modes print on its own; e.g. with --translation pt they are
+ * interleaved-pt, side-pt, en and pt.
+ */
+const fs = require('fs')
+const path = require('path')
+const { book } = require('../lib/content')
+const { MODES, edition } = require('../lib/book')
+const { ORIGINAL, TRANSLATIONS, DEFAULT_TRANSLATION } = require('../lib/languages')
+const { writeEpub } = require('../lib/epub')
+const { writePdf } = require('../lib/pdf')
+const { parseArgs, checkKnown } = require('../lib/cli')
+
+const DIST = path.join(__dirname, '..', 'dist')
+const WRITERS = { epub: writeEpub, pdf: writePdf }
+
+const USAGE = 'usage: npm run book -- [--format epub,pdf] [--mode interleaved,side,en,es] [--translation pt]'
+
+const parseOptions = argv => {
+  const given = parseArgs(argv, { usage: USAGE, values: ['format', 'mode', 'translation'] })
+  const options = {
+    formats: given.format ? given.format.split(',') : Object.keys(WRITERS),
+    translation: given.translation || DEFAULT_TRANSLATION
+  }
+  checkKnown('translation', [options.translation], TRANSLATIONS, USAGE)
+  options.modes = given.mode ? given.mode.split(',') : ['interleaved', 'side', ORIGINAL, options.translation]
+  checkKnown('format', options.formats, Object.keys(WRITERS), USAGE)
+  checkKnown('mode', options.modes, MODES, USAGE)
+  return options
+}
+
+const main = async () => {
+  const options = parseOptions(process.argv.slice(2))
+  fs.mkdirSync(DIST, { recursive: true })
+  const warnings = new Set()
+  for (const mode of options.modes) {
+    for (const format of options.formats) {
+      const file = path.join(DIST, `effective-javascript-${edition(mode, options.translation)}.${format}`)
+      ;(await WRITERS[format](book, mode, file, options.translation)).forEach(warning => warnings.add(warning))
+      console.log(path.relative(process.cwd(), file))
+    }
+  }
+  warnings.forEach(warning => console.warn(`warning: ${warning}`))
+}
+
+main().catch(error => {
+  console.error(error.message)
+  process.exit(1)
+})
@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+/**
+ * Writes the search index (see lib/search.js) to public/search-index.json.
+ * Runs before `next dev` and `next build`.
+ */
+const fs = require('fs')
+const path = require('path')
+const { book } = require('../lib/content')
+const { buildIndex } = require('../lib/search')
+
+const OUTPUT = path.join(__dirname, '..', 'public', 'search-index.json')
+
+const index = buildIndex(book)
+fs.mkdirSync(path.dirname(OUTPUT), { recursive: true })
+fs.writeFileSync(OUTPUT, JSON.stringify(index))
+console.log(`search index: ${index.docs.length} passages, ${Object.keys(index.terms).length} terms`)
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/**
+ * Checks the figures of the book: that each figure's image is under public/,
+ * and that each "see Figure N.M" reference names a figure that exists.
+ *
+ *   npm run check:figures
+ *
+ * A missing image is always an error and fails the build, which runs this
+ * before next build; a figure without artwork yet leaves out "src" instead.
+ * Bad references are errors in a chapter published in any language, and
+ * elsewhere only listed.
+ */
+const { book } = require('../lib/content')
+const { figureFile, numberedFigures } = require('../lib/book')
+const { findReferences, figureKey, stripInline } = require('../lib/inline')
+const { translatables, publishedIn } = require('../lib/progress')
+
+const main = () => {
+  const known = new Set()
+  book.forEach(chapter => numberedFigures(chapter).forEach(block => known.add(figureKey(block.kind, block.number))))
+
+  const problems = []
+  book.forEach(chapter => {
+    const add = (message, fatal = false) => problems.push({ chapter, message, fatal })
+    ;[chapter.blocks].concat(chapter.items.map(item => item.blocks)).forEach(blocks => blocks
+      .filter(block => block.type === 'figure' && block.src && !figureFile(block.src))
+      .forEach(block => add(`${block.id}: ${block.src} is missing from public/`, true)))
+    translatables(chapter).forEach(record => Object.keys(record)
+      .filter(key => key !== 'id' && key !== 'type' && typeof record[key] === 'string')
+      .forEach(key => findReferences(record[key]).figures
+        .filter(figure => !known.has(figure))
+        .forEach(figure => add(`"${stripInline(record[key]).slice(0, 40)}…" (${key}) refers to ${figure.replace('-', ' ')}, which does not exist`))))
+  })
+
+  const isError = problem => problem.fatal || publishedIn(problem.chapter).length > 0
+  problems.forEach(problem => {
+    console[isError(problem) ? 'error' : 'warn'](`${isError(problem) ? 'error' : 'warn '} - ${problem.chapter.id} ${problem.message}`)
+  })
+  if (problems.some(isError)) process.exit(1)
+}
+
+main()
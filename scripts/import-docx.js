@@ -0,0 +1,527 @@
+#!/usr/bin/env node
+/**
+ * Imports the book from the source .docx into content/chapter-N.json.
+ *
+ *   npm run import -- [file.docx] [--chapters 1,2] [--dry-run]
+ *
+ * The document is a PDF conversion, so besides splitting it into chapters and
+ * items this undoes the conversion damage: running heads and figure artwork
+ * are dropped, paragraphs broken across pages are rejoined, split words are
+ * repaired, code listings get their line breaks and indentation back and
+ * tables are attached to their caption. What it can't undo, like operators
+ * the conversion drew as images, is listed to be repaired by hand.
+ *
+ * Translations already present in content/ are carried over to the
+ * paragraphs whose English text still matches; the ones that no longer match
+ * anything are listed so they can be moved by hand. Hand repairs are kept:
+ * English and listings that only differ from the import in symbols and
+ * spacing, and the rows of tables.
+ */
+const fs = require('fs')
+const path = require('path')
+const { readDocx, paragraphText } = require('../lib/docx')
+const { isRunningHead, collapseSpaces, buildVocabulary, dehyphenate, splitBlocks, reindent } = require('../lib/cleanup')
+const { stripInline } = require('../lib/inline')
+const { tableCells, translatables } = require('../lib/progress')
+const { figureFile } = require('../lib/book')
+const toc = require('./book-toc.json')
+
+const ROOT = path.join(__dirname, '..')
+const CONTENT = path.join(ROOT, 'content')
+
+const CAPTION = /^(Figure|Table) (\d+\.\d+) ([A-Z“].*)$/
+const TERMINAL = /[.:;?!”)]$/
+
+const hasText = run => run.text.trim() !== ''
+
+// Symbols set in a text font (the "𝄞" of Item 7) don't make a line prose.
+const isCodeRun = run => run.mono || !/[A-Za-z0-9]/.test(run.text)
+
+const isCode = paragraph => {
+  const runs = paragraph.runs.filter(hasText)
+  return runs.length > 0 && runs.some(run => run.mono) && runs.every(isCodeRun)
+}
+
+// Leftovers of figure artwork: labels drawn in Arial, bare identifiers that
+// were arrows' captions and short fragments attached to glyph images.
+const isDebris = paragraph => {
+  const text = collapseSpaces(paragraphText(paragraph))
+  const runs = paragraph.runs.filter(hasText)
+  if (runs.every(run => run.font === 'Arial')) return true
+  if (isCode(paragraph) && /^\.?[A-Za-z_$][\w$.]*$/.test(text)) return true
+  return paragraph.images > 0 && text.length < 40 && !/[;=(){}]|\/\//.test(text)
+}
+
+// The conversion drew some characters ("*", the "*" of "/*") as images,
+// leaving a tab or an empty list slot in their place, or replaced them with
+// a private-use character.
+const LOST_GLYPH = /\S\t|, ,/
+
+const lostGlyph = paragraph => {
+  const text = paragraphText(paragraph)
+  return text.includes('\uf8ff') || (paragraph.images > 0 && LOST_GLYPH.test(text))
+}
+
+const STATEMENT_KEYWORD = /^(var|function|return|if|for|while|do|switch|try|throw)\b/
+
+// Lines of code, with a break wherever a comment was followed by more code or
+// a statement keyword follows a finished statement.
+const codeLines = runs => {
+  let source = ''
+  runs.forEach((run, index) => {
+    const line = source.slice(source.lastIndexOf('\n') + 1).trim()
+    const balanced = (line.match(/\(/g) || []).length === (line.match(/\)/g) || []).length
+    if (run.bold && STATEMENT_KEYWORD.test(run.text.trim()) && line.endsWith(';') && balanced) source += '\n'
+    source += run.text
+    const next = runs.slice(index + 1).find(hasText)
+    if (run.italic && run.text.includes('//') && next && !next.italic) source += '\n'
+  })
+  return source.split('\n')
+    .map(line => line.replace(/\t/g, ' ').replace(/ {2,}/g, ' ').trim())
+    .reduce((lines, line) => lines.concat(splitBlocks(line)), [])
+}
+
+// Code tables lay out "expression // result" in three columns.
+const isCodeTable = table => table.rows.every(row => (
+  row.every(cell => cell.every(paragraph => paragraph.runs.filter(hasText).every(run => run.mono))) &&
+  row.some(cell => cell.map(paragraphText).join('').trim() === '//')
+))
+
+const tableLines = table => table.rows.map(row => (
+  row.map(cell => cell.map(paragraphText).join(' ')).join(' ').replace(/\s+/g, ' ').trim()
+))
+
+// Tables of monospaced labels are what is left of a diagram's boxes.
+const isDiagramTable = table => table.rows.every(row => row.every(cell => (
+  cell.every(paragraph => paragraph.runs.filter(hasText).every(run => run.mono))
+)))
+
+const SPACE = { text: ' ', mono: false }
+
+// The runs of a table cell, its paragraphs joined by spaces.
+const cellRuns = cell => cell.reduce((runs, paragraph, index) => (
+  runs.concat(index ? [SPACE] : [], paragraph.runs)
+), [])
+
+// Splits runs at tabs, which is how a header row that lost its cells keeps
+// them apart.
+const splitAtTabs = runs => runs.reduce((cells, run) => {
+  run.text.split('\t').forEach((text, index) => {
+    if (index) cells.push([])
+    if (text) cells[cells.length - 1].push(Object.assign({}, run, { text }))
+  })
+  return cells
+}, [[]])
+
+// Prose with monospaced runs turned into `code` markup.
+const toMarkup = (runs, vocabulary) => {
+  let markup = ''
+  let code = null
+  const closeCode = () => {
+    if (code === null) return
+    const [, before, body, after] = code.match(/^(\s*)([\s\S]*?)(\s*)$/)
+    const [, inner, punctuation] = body.match(/^([\s\S]*?)([.,:;]*)$/)
+    markup += inner ? `${before}\`${inner}\`${punctuation}${after}` : code
+    code = null
+  }
+  runs.forEach(run => {
+    if (run.mono && hasText(run)) {
+      code = (code || '') + run.text
+    } else if (run.mono && code !== null) {
+      code += run.text
+    } else {
+      closeCode()
+      markup += run.text
+    }
+  })
+  closeCode()
+  return dehyphenate(collapseSpaces(markup.replace(/``/g, '')), vocabulary)
+}
+
+// The runs of a paragraph from the given character offset on.
+const sliceRuns = (runs, from) => {
+  let offset = 0
+  return runs.reduce((rest, run) => {
+    const start = offset
+    offset += run.text.length
+    if (offset <= from) return rest
+    return rest.concat(start >= from ? run : Object.assign({}, run, { text: run.text.slice(from - start) }))
+  }, [])
+}
+
+// Splits a paragraph that runs into a piece of code, as in "leaving off the
+// semicolon results in a parse error: function infiniteLoop() { ... }", or
+// starts with one, into prose and code segments.
+const splitCode = runs => {
+  const segments = []
+  let current = null
+  runs.forEach(run => {
+    const kind = run.mono || (current && current.kind === 'code' && !hasText(run)) ? 'code' : 'prose'
+    if (!current || current.kind !== kind) {
+      current = { kind, runs: [] }
+      segments.push(current)
+    }
+    current.runs.push(run)
+  })
+  const text = segment => segment.runs.map(run => run.text).join('')
+  return segments.reduce((result, segment, index) => {
+    const previous = segments[index - 1]
+    const isListing = segment.kind === 'code' && /;|\/\//.test(text(segment)) &&
+      (!previous || /[:?]\s*$/.test(text(previous)))
+    const last = result[result.length - 1]
+    if (isListing) result.push({ kind: 'code', runs: segment.runs })
+    else if (last && last.kind === 'prose') last.runs = last.runs.concat(segment.runs)
+    else result.push({ kind: 'prose', runs: segment.runs })
+    return result
+  }, [])
+}
+
+const startsLowercase = text => /^[a-z]/.test(stripInline(text))
+
+// The rows of a data table as cells of markup, header first. The conversion
+// sometimes split a column in two ("new" | "Array(...)"); the extra cells are
+// joined into the last column, and `merged` tells so they can be checked.
+const tableRows = (table, vocabulary) => {
+  const rows = table.rows.map(row => row.length === 1 ? splitAtTabs(cellRuns(row[0])) : row.map(cellRuns))
+  const columns = rows[0].length
+  const merged = rows.some(row => row.length > columns)
+  const joined = rows.map(row => row.length > columns
+    ? row.slice(0, columns - 1).concat([row.slice(columns - 1).reduce((runs, cell, index) => runs.concat(index ? [SPACE] : [], cell), [])])
+    : row)
+  return { rows: joined.map(row => row.map(runs => ({ en: toMarkup(runs, vocabulary) }))), merged }
+}
+
+const itemHeading = (text, expected) => {
+  const match = text.match(/^Item (\d+):/)
+  return match && Number(match[1]) === expected ? expected : null
+}
+
+// Builds the chapters found in the document body. Text the conversion
+// damaged beyond repair, like lines that lost a glyph (an operator, a
+// comment's "*") or tables with split columns, is added to `damaged` as
+// { chapter, text, warning }, for a person to repair.
+const buildChapters = (elements, vocabulary, warnings, damaged) => {
+  const chapters = []
+  const titles = {}
+  toc.chapters.forEach(entry => Object.assign(titles, entry.items))
+
+  let chapter = null
+  let item = null
+  let target = null
+  let remember = false
+  let code = []
+  let lastParagraph = null
+  let openCaption = null
+  let nextItem = 1
+
+  const where = () => item ? `Item ${item.number}` : `Chapter ${chapter.number}`
+  const damage = (text, warning) => damaged.push({ chapter: chapter.id, text, warning: `${where()}: ${warning}` })
+  const lost = text => damage(text, `lost a glyph, restore it by hand: ${text.split('\n')[0].slice(0, 60)}`)
+
+  const flushCode = () => {
+    while (code.length && !code[0]) code.shift()
+    while (code.length && !code[code.length - 1]) code.pop()
+    if (code.length) {
+      target.push({ type: 'code', code: reindent(code).join('\n') })
+      lastParagraph = null
+    }
+    code = []
+  }
+
+  // Text continued from the previous paragraph, a word split across the two
+  // rejoined.
+  const join = (head, tail) => dehyphenate(`${head} ${tail}`, vocabulary)
+
+  const addParagraph = markup => {
+    flushCode()
+    const previous = lastParagraph
+    if (previous && (startsLowercase(markup) || !TERMINAL.test(previous.en))) {
+      previous.en = join(previous.en, markup)
+    } else {
+      lastParagraph = { type: 'paragraph', en: markup }
+      target.push(lastParagraph)
+    }
+  }
+
+  const addSegments = segments => segments.forEach(segment => {
+    if (segment.kind === 'code') code = code.concat(codeLines(segment.runs))
+    else addParagraph(toMarkup(segment.runs, vocabulary))
+  })
+
+  for (const element of elements) {
+    if (!chapter && !(element.type === 'paragraph' && element.style === 'Ttulo1')) continue
+
+    if (element.type === 'table') {
+      const last = target[target.length - 1]
+      if (isCodeTable(element)) {
+        // Operators are drawn as glyphs, which code tables always lose.
+        lost(tableLines(element).join('\n'))
+        code = code.concat(tableLines(element))
+      } else if (last && last.type === 'figure' && last.kind === 'table' && !last.rows) {
+        const { rows, merged } = tableRows(element, vocabulary)
+        last.rows = rows
+        if (merged) damage(last.caption.en, `table "${stripInline(last.caption.en).slice(0, 40)}" had split columns, check its cells`)
+      } else if (!isDiagramTable(element)) {
+        warnings.push(`${where()}: table without a caption dropped: ${tableLines(element)[0].slice(0, 60)}`)
+      }
+      continue
+    }
+
+    const paragraph = element
+    const text = collapseSpaces(paragraphText(paragraph))
+    if (!text) continue
+
+    if (paragraph.style === 'Ttulo1') {
+      // Chapter openers carry the chapter title; the index ends the book.
+      const entry = toc.chapters.find(candidate => candidate.title === text)
+      if (!entry) break
+      flushCode()
+      chapter = { id: `chapter-${entry.number}`, number: entry.number, title: { en: entry.title }, blocks: [], items: [] }
+      chapters.push(chapter)
+      item = null
+      target = chapter.blocks
+      remember = false
+      lastParagraph = null
+      continue
+    }
+    if (/^Ttulo[345]$/.test(paragraph.style) || text === String(chapter.number)) continue
+    if (isRunningHead(paragraphText(paragraph), titles)) continue
+
+    const number = itemHeading(text, nextItem)
+    if (number) {
+      flushCode()
+      const title = titles[number]
+      item = { number, title: { en: title }, blocks: [], remember: [] }
+      chapter.items.push(item)
+      target = item.blocks
+      remember = false
+      lastParagraph = null
+      nextItem++
+      // The heading sometimes swallowed the text that follows it.
+      const raw = paragraphText(paragraph)
+      const plainTitle = stripInline(title)
+      const end = raw.indexOf(plainTitle) + plainTitle.length
+      if (end >= plainTitle.length && raw.slice(end).trim()) {
+        addSegments(splitCode(sliceRuns(paragraph.runs, end)))
+      }
+      continue
+    }
+
+    if (text === 'Things to Remember') {
+      flushCode()
+      remember = true
+      continue
+    }
+
+    if (isDebris(paragraph)) continue
+
+    if (isCode(paragraph)) {
+      if (lostGlyph(paragraph)) lost(text)
+      code = code.concat(codeLines(paragraph.runs))
+      continue
+    }
+
+    const segments = splitCode(paragraph.runs)
+    const markup = toMarkup(segments[0].runs, vocabulary)
+    if (lostGlyph(paragraph)) lost(markup)
+
+    // A caption that stops mid-phrase continues in the next paragraph.
+    if (openCaption) {
+      openCaption.en = join(openCaption.en, markup)
+      openCaption = null
+      continue
+    }
+
+    const caption = stripInline(markup).match(CAPTION)
+    if (caption && !/\.$/.test(markup)) {
+      flushCode()
+      // The label is left out; figures are numbered when the content is loaded.
+      // The conversion kept none of the artwork, so a figure only links the
+      // image once it has been added under public/static/.
+      const kind = caption[1].toLowerCase()
+      const src = `/static/${kind}-${caption[2]}.png`
+      const figure = Object.assign(
+        { type: 'figure', kind },
+        figureFile(src) ? { src } : {},
+        { caption: { en: markup.replace(/^\S+ \S+ /, '') } }
+      )
+      target.push(figure)
+      if (/\b(and|or|of)$/.test(markup)) openCaption = figure.caption
+      continue
+    }
+
+    if (remember && item) {
+      if (paragraph.list || !item.remember.length) {
+        item.remember.push({ en: markup })
+      } else {
+        const last = item.remember[item.remember.length - 1]
+        last.en = join(last.en, markup)
+      }
+      continue
+    }
+
+    if (paragraph.list) {
+      flushCode()
+      const last = target[target.length - 1]
+      if (last && last.type === 'list') last.items.push({ en: markup })
+      else target.push({ type: 'list', items: [{ en: markup }] })
+      lastParagraph = null
+      continue
+    }
+
+    addSegments(segments)
+  }
+  flushCode()
+  return chapters
+}
+
+// Letters and digits only, so that old split words and spacing still match.
+const normalize = text => stripInline(text).toLowerCase().replace(/- /g, '').replace(/[^a-z0-9]/g, '')
+
+const isTranslated = record => Object.keys(record).some(key => key !== 'en' && key !== 'type')
+
+const blocksOfType = (chapter, type) => [chapter.blocks].concat(chapter.items.map(item => item.blocks))
+  .reduce((all, blocks) => all.concat(blocks.filter(block => block.type === type)), [])
+
+const codeBlocks = chapter => blocksOfType(chapter, 'code')
+
+const figureBlocks = chapter => blocksOfType(chapter, 'figure')
+
+// Entries by their normalized text, in order, so that passages that only
+// differ in symbols, like "1 + 2" and "(1 + 2)", each find their own.
+const byText = (entries, text) => entries.reduce((all, entry) => (
+  all.set(normalize(text(entry)), (all.get(normalize(text(entry))) || []).concat([entry]))
+), new Map())
+
+// The first entry for `text` not used yet, or the last one.
+const take = (entries, text, used) => {
+  const found = entries.get(normalize(text)) || []
+  return found.find(entry => !used.has(entry)) || found[found.length - 1]
+}
+
+// Copies translations (and anything else besides the English text) from the
+// previous version of a chapter. English and listings that differ from the
+// fresh import only in symbols and spacing were repaired by hand, and are
+// kept; so are the rows of tables, which the conversion mangles. Returns the
+// old translated records that did not find a home, and what was kept.
+const mergeTranslations = (fresh, old) => {
+  const kept = []
+  const keep = (record, key, text) => {
+    if (record[key] === text) return
+    record[key] = text
+    kept.push(normalize(text))
+  }
+
+  const oldTables = figureBlocks(old).filter(block => block.rows)
+  figureBlocks(fresh).filter(block => block.rows).forEach(block => {
+    const match = oldTables.find(table => normalize(table.caption.en) === normalize(block.caption.en))
+    if (!match) return
+    block.rows = match.rows
+    kept.push(normalize(block.caption.en))
+  })
+
+  const oldRecords = translatables(old)
+  const records = byText(oldRecords, record => record.en)
+  // A paragraph the old content split at a page break, maybe around a figure.
+  const figures = new Set(figureBlocks(old).reduce((all, block) => all.concat([block.caption], tableCells(block)), []))
+  const oldParagraphs = oldRecords.filter(record => !figures.has(record))
+  oldParagraphs.forEach((record, index) => {
+    const next = oldParagraphs[index + 1]
+    if (!next || !isTranslated(record) || !isTranslated(next)) return
+    const joined = { en: `${record.en} ${next.en}`, parts: [record, next] }
+    Object.keys(record).filter(key => key !== 'en' && typeof record[key] === 'string' && next[key])
+      .forEach(key => { joined[key] = `${record[key]} ${next[key]}` })
+    if (!records.has(normalize(joined.en))) records.set(normalize(joined.en), [joined])
+  })
+
+  const used = new Set()
+  translatables(fresh).forEach(record => {
+    const match = take(records, record.en, used)
+    if (!match) return
+    Object.keys(match).filter(key => !['en', 'type', 'parts'].includes(key)).forEach(key => { record[key] = match[key] })
+    if (!match.parts) keep(record, 'en', match.en)
+    ;(match.parts || [match]).forEach(part => used.add(part))
+  })
+
+  const listings = byText(codeBlocks(old), block => block.code)
+  codeBlocks(fresh).forEach(block => {
+    const match = take(listings, block.code, used)
+    if (!match) return
+    used.add(match)
+    Object.keys(match).filter(key => !['type', 'code'].includes(key)).forEach(key => { block[key] = match[key] })
+    keep(block, 'code', match.code)
+  })
+
+  return { orphans: oldRecords.filter(record => isTranslated(record) && !used.has(record)), kept }
+}
+
+const chapterFile = id => path.join(CONTENT, `${id}.json`)
+
+const writeIndex = () => {
+  const files = fs.readdirSync(CONTENT)
+    .filter(file => /^chapter-\d+\.json$/.test(file))
+    .sort((a, b) => parseInt(a.slice(8)) - parseInt(b.slice(8)))
+  const entries = ['preface.json'].concat(files).map(file => `  require('./${file}')`)
+  fs.writeFileSync(path.join(CONTENT, 'index.js'), [
+    '// Book order. Each entry is a chapter file in the format described in',
+    '// lib/content.js; adding a chapter means adding its file here.',
+    'module.exports = [',
+    entries.join(',\n'),
+    ']',
+    ''
+  ].join('\n'))
+}
+
+const parseArgs = argv => {
+  const options = { file: null, chapters: null, dryRun: false }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--chapters') options.chapters = argv[++i].split(',').map(Number)
+    else if (argv[i] === '--dry-run') options.dryRun = true
+    else options.file = argv[i]
+  }
+  if (!options.file) {
+    const found = fs.readdirSync(ROOT).filter(file => file.endsWith('.docx'))
+    if (found.length !== 1) throw new Error('Pass the .docx to import')
+    options.file = path.join(ROOT, found[0])
+  }
+  return options
+}
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2))
+  const elements = await readDocx(options.file)
+  const vocabulary = buildVocabulary(elements
+    .filter(element => element.type === 'paragraph')
+    .map(paragraph => paragraphText(paragraph).replace(/\b[A-Za-z]+-\s+[A-Za-z]+/g, '')))
+  const warnings = []
+  const damaged = []
+  const chapters = buildChapters(elements, vocabulary, warnings, damaged)
+    .filter(chapter => !options.chapters || options.chapters.includes(chapter.number))
+
+  chapters.forEach(chapter => {
+    const file = chapterFile(chapter.id)
+    const old = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null
+    const { orphans, kept } = old ? mergeTranslations(chapter, old) : { orphans: [], kept: [] }
+    if (old && old.published) chapter.published = old.published
+    orphans.forEach(record => warnings.push(`${chapter.id}: translation no longer matches: ${record.en.slice(0, 60)}`))
+    damaged
+      .filter(entry => entry.chapter === chapter.id && !kept.some(text => text.includes(normalize(entry.text))))
+      .forEach(entry => warnings.push(entry.warning))
+
+    const blocks = [chapter.blocks].concat(chapter.items.map(item => item.blocks))
+      .reduce((all, list) => all.concat(list), [])
+    const translated = translatables(chapter).filter(isTranslated).length
+    console.log(`${chapter.id}: ${chapter.items.length} items, ${blocks.length} blocks, ` +
+      `${translated}/${translatables(chapter).length} translated, ${orphans.length} orphaned`)
+
+    if (!options.dryRun) fs.writeFileSync(file, JSON.stringify(chapter, null, 2) + '\n')
+  })
+  if (!options.dryRun) writeIndex()
+
+  warnings.forEach(warning => console.warn(`warning: ${warning}`))
+}
+
+main().catch(error => {
+  console.error(error.message)
+  process.exit(1)
+})
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Checks the chapter files for damage from the PDF → .docx extraction: words
+ * split at line ends (in every language), running heads, runs of spaces,
+ * "/ /" comments and block comments that lost their stars in listings and
+ * headings with body text run into them.
+ *
+ *   npm run lint:content -- [--fix]
+ *
+ * Lists every finding by chapter, anchor and type, and exits with an error
+ * if there is any. With --fix it first repairs what is safe to repair, and
+ * writes the chapter files back; split words that don't occur joined
+ * anywhere else and fused headings are left for a person. `npm run import`
+ * rejoins split words by the same rule (lib/cleanup.js), so re-importing
+ * does not bring back what --fix repaired.
+ */
+const { readChapter, writeChapter } = require('../lib/workbench')
+const { TYPES, vocabularyOf, lintChapter, fixChapter } = require('../lib/artifacts')
+const chapters = require('../content')
+
+const excerpt = text => text.length > 60 ? `${text.slice(0, 57)}...` : text
+
+const main = () => {
+  const fix = process.argv.includes('--fix')
+  const files = chapters.map(chapter => readChapter(chapter.id))
+  const vocabulary = vocabularyOf(files)
+
+  if (fix) {
+    files.forEach(chapter => {
+      const fixed = fixChapter(chapter, vocabulary)
+      if (!fixed) return
+      writeChapter(chapter)
+      console.log(`${chapter.id}: ${fixed} fixed`)
+    })
+  }
+
+  const findings = files.reduce((all, chapter) => all.concat(
+    lintChapter(chapter, vocabulary).map(finding => Object.assign({ chapter: chapter.id }, finding))
+  ), [])
+  findings.forEach(finding => {
+    const fixable = finding.fix === null ? '' : ' (fixable)'
+    console.log(`${finding.chapter} ${finding.where} ${finding.type}${fixable}: ${excerpt(JSON.stringify(finding.found))}`)
+  })
+  if (findings.length) {
+    const counts = Object.keys(TYPES)
+      .map(type => [type, findings.filter(finding => finding.type === type).length])
+      .filter(([, count]) => count)
+      .map(([type, count]) => `${count} ${type} (${TYPES[type]})`)
+    console.log(`\n${findings.length} ${findings.length === 1 ? 'artifact' : 'artifacts'}: ${counts.join(', ')}`)
+    process.exit(1)
+  }
+}
+
+main()
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Checks the translations against content/glossary.json, every language the
+ * glossary has renderings for, or only those given.
+ *
+ *   npm run lint:glossary -- [--missing] [--language es,pt]
+ *
+ * Reports every translated passage that renders a glossary term with one of
+ * the renderings to avoid, and exits with an error if there is any. With
+ * --missing it also lists passages whose English has a term but whose
+ * translation has none of its renderings, which is often fine (the sentence
+ * was rephrased) and so never fails the lint.
+ */
+const { book } = require('../lib/content')
+const { checkRecord } = require('../lib/glossary')
+const { stripInline } = require('../lib/inline')
+const { parseArgs, languageList } = require('../lib/cli')
+
+const USAGE = 'usage: npm run lint:glossary -- [--missing] [--language es,pt]'
+
+// Every record of a chapter with where it is: the anchor of its block, and
+// which entry, cell or caption of it; or the item's for titles and bullets.
+const located = chapter => {
+  const inBlocks = blocks => blocks.reduce((found, block) => {
+    if (block.type === 'paragraph' || block.type === 'heading') return found.concat([{ record: block, where: block.id }])
+    if (block.type === 'list') return found.concat(block.items.map((entry, i) => ({ record: entry, where: `${block.id} entry ${i + 1}` })))
+    if (block.type !== 'figure') return found
+    return found.concat(
+      block.caption ? [{ record: block.caption, where: `${block.id} caption` }] : [],
+      (block.rows || []).reduce((cells, row, r) => cells.concat(
+        row.map((cell, c) => ({ record: cell, where: `${block.id} cell ${r + 1}.${c + 1}` }))
+      ), [])
+    )
+  }, [])
+  return chapter.items.reduce((found, item) => found.concat(
+    [{ record: item.title, where: `${item.id} title` }],
+    inBlocks(item.blocks),
+    item.remember.map((bullet, i) => ({ record: bullet, where: `${item.id} remember ${i + 1}` }))
+  ), [{ record: chapter.title, where: 'title' }].concat(inBlocks(chapter.blocks)))
+}
+
+const excerpt = text => {
+  const plain = stripInline(text)
+  return plain.length > 60 ? `${plain.slice(0, 57)}...` : plain
+}
+
+const main = () => {
+  const options = parseArgs(process.argv.slice(2), { usage: USAGE, flags: ['missing'], values: ['language'] })
+  const languages = languageList(options.language, USAGE)
+  let errors = 0
+  languages.forEach(language => book.forEach(chapter => located(chapter).forEach(({ record, where }) => {
+    checkRecord(record, language).forEach(problem => {
+      const at = `${chapter.id} ${where} (${language})`
+      const approved = problem.approved.map(form => `"${form}"`).join(' or ')
+      if (problem.found) {
+        errors++
+        console.log(`${at}: "${problem.found}" for "${problem.term}", use ${approved}\n    ${excerpt(record.en)}`)
+      } else if (options.missing) {
+        console.log(`${at}: no rendering of "${problem.term}" (${approved})\n    ${excerpt(record.en)}`)
+      }
+    })
+  })))
+  if (errors) {
+    console.log(`\n${errors} non-approved ${errors === 1 ? 'rendering' : 'renderings'}`)
+    process.exit(1)
+  }
+}
+
+main()
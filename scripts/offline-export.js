@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Turns the static export in out/ into plain HTML that also works opened
+ * straight from disk (file://) or from a file share without a web server:
+ *
+ *   npm run export:offline
+ *
+ * Links and asset URLs are rewritten relative to each page, pointing at the
+ * index.html files themselves since there is no server to resolve
+ * directories. Next.js' scripts can't run from file:// URLs, so they are
+ * removed, and with them the controls that need them (language modes,
+ * themes, reading preferences, bookmarks, search, running listings, the
+ * cheat sheet's filter); the pages show both languages interleaved, in the
+ * light theme.
+ */
+const fs = require('fs')
+const path = require('path')
+
+const OUT = path.join(__dirname, '..', 'out')
+const BASE_PATH = process.env.BASE_PATH || ''
+
+const HIDE_CONTROLS = '<style>.mode-switch, .search, .runner, .copy, .cheatsheet-controls, .theme-switch, .preferences, .bookmark { display: none; }</style>'
+
+const htmlFiles = dir => fs.readdirSync(dir, { withFileTypes: true }).reduce((files, entry) => {
+  const file = path.join(dir, entry.name)
+  if (entry.isDirectory()) return files.concat(htmlFiles(file))
+  return entry.name.endsWith('.html') ? files.concat([file]) : files
+}, [])
+
+// The file a site-absolute URL refers to, relative to `out/`.
+const targetFile = pathname => {
+  const local = pathname.slice(BASE_PATH.length) || '/'
+  if (local.endsWith('/')) return `${local.slice(1)}index.html`
+  return path.extname(local) ? local.slice(1) : `${local.slice(1)}/index.html`
+}
+
+const relativeUrl = (fromFile, url) => {
+  const [, pathname, rest] = url.match(/^([^?#]*)(.*)$/)
+  const target = path.join(OUT, decodeURI(targetFile(pathname)))
+  const relative = path.relative(path.dirname(fromFile), target).split(path.sep).join('/')
+  return encodeURI(relative) + rest
+}
+
+const convert = file => {
+  const html = fs.readFileSync(file, 'utf8')
+    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/g, '')
+    .replace(/<link\b[^>]*\bas="script"[^>]*>/g, '')
+    .replace(/\b(href|src)="(\/(?!\/)[^"]*)"/g, (match, name, url) => `${name}="${relativeUrl(file, url)}"`)
+    .replace('</head>', `${HIDE_CONTROLS}</head>`)
+  fs.writeFileSync(file, html)
+}
+
+const files = htmlFiles(OUT)
+files.forEach(convert)
+console.log(`offline export: ${files.length} pages in ${path.relative(process.cwd(), OUT)}/`)
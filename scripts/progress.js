@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Reports how much of each chapter is translated: passages (titles,
+ * paragraphs, captions...), how many of those are translated and reviewed,
+ * and the listing comments still in English. One table per translation, or
+ * only those given:
+ *
+ *   npm run progress -- [--items] [--check] [--language pt,fr]
+ *
+ * With --check it exits with an error when a chapter is published in a
+ * language (see "published" in lib/content.js) it is not fully translated
+ * into. The build runs it that way, so publishing a chapter is what opts it
+ * into the check.
+ */
+const { book } = require('../lib/content')
+const { report, percent } = require('../lib/progress')
+const { stripInline } = require('../lib/inline')
+const { NAMES } = require('../lib/languages')
+const { parseArgs, languageList } = require('../lib/cli')
+
+const USAGE = 'usage: npm run progress -- [--items] [--check] [--language pt,fr]'
+
+const columns = (label, ...values) => [label.slice(0, 44).padEnd(44)]
+  .concat(values.map(value => String(value).padStart(10)))
+  .join(' ')
+
+const HEADER = columns('', 'translated', 'reviewed', 'comments', 'done')
+
+const row = (label, entry) => columns(label, `${entry.translated}/${entry.total}`, entry.reviewed, entry.comments, `${percent(entry)}%`)
+
+const print = (reports, items) => {
+  console.log(HEADER)
+  reports.forEach(chapter => {
+    const label = `${chapter.number ? `${chapter.number}. ` : ''}${stripInline(chapter.title.en)}${chapter.published ? ' *' : ''}`
+    console.log(row(label, chapter))
+    if (items) {
+      chapter.items.forEach(item => console.log(row(`   Item ${item.number}: ${stripInline(item.title.en)}`, item)))
+    }
+  })
+}
+
+const main = () => {
+  const options = parseArgs(process.argv.slice(2), { usage: USAGE, flags: ['items', 'check'], values: ['language'] })
+  const languages = languageList(options.language, USAGE)
+
+  let incomplete = 0
+  languages.forEach((language, index) => {
+    const reports = book.map(chapter => report(chapter, language))
+    if (!options.check || options.items) {
+      console.log(`${index ? '\n' : ''}${NAMES[language]} (${language})`)
+      print(reports, options.items)
+    }
+    reports.filter(chapter => chapter.published && chapter.translated < chapter.total).forEach(chapter => {
+      console.error(`error: ${chapter.id} is published in ${NAMES[language]} but only ${percent(chapter)}% translated`)
+      incomplete++
+    })
+  })
+  if (options.check && incomplete) process.exit(1)
+}
+
+main()